@@ -0,0 +1,243 @@
+/*
+**	rin-front/api-cache
+**
+**	Copyright (c) 2013-2021, RedStar Technologies, All rights reserved.
+**	https://www.rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS;
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT,
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+
+/**
+**	Cache backend that keeps the entries in memory, entries are lost when the page is reloaded. Entries are stored serialized so that
+**	changes made by callers to a cached response do not affect the cache.
+*/
+export const MemoryCache = Class.extend
+({
+	className: 'MemoryCache',
+
+	/**
+	**	Map of serialized entries.
+	*/
+	data: null,
+
+	__ctor: function ()
+	{
+		this.data = new Map();
+	},
+
+	/**
+	**	Returns the entry with the specified key or `null` if not found.
+	*/
+	get: function (key)
+	{
+		let value = this.data.get(key);
+		return value === undefined ? null : JSON.parse(value);
+	},
+
+	/**
+	**	Stores an entry with the specified key.
+	*/
+	set: function (key, value)
+	{
+		this.data.set(key, JSON.stringify(value));
+	},
+
+	/**
+	**	Removes the entry with the specified key.
+	*/
+	remove: function (key)
+	{
+		this.data.delete(key);
+	},
+
+	/**
+	**	Returns the keys of all the entries.
+	*/
+	keys: function ()
+	{
+		return Array.from(this.data.keys());
+	},
+
+	/**
+	**	Removes all the entries.
+	*/
+	clear: function ()
+	{
+		this.data.clear();
+	}
+});
+
+/**
+**	Cache backend that keeps the entries in a Web Storage object (`localStorage` by default), every key is prefixed with `prefix` to
+**	avoid collisions with other data in the storage. Entries that can't be stored (i.e. storage quota exceeded) are ignored.
+*/
+export const StorageCache = Class.extend
+({
+	className: 'StorageCache',
+
+	/**
+	**	Web Storage object where the entries are stored.
+	*/
+	storage: null,
+
+	/**
+	**	Prefix added to the keys of the entries in the storage.
+	*/
+	prefix: null,
+
+	__ctor: function (storage=null, prefix='rin-front-cache:')
+	{
+		this.storage = storage || global.localStorage;
+		this.prefix = prefix;
+	},
+
+	/**
+	**	Returns the entry with the specified key or `null` if not found (or if it can't be parsed).
+	*/
+	get: function (key)
+	{
+		let value = this.storage.getItem(this.prefix + key);
+		if (value === null) return null;
+
+		try {
+			return JSON.parse(value);
+		}
+		catch (e) {
+			return null;
+		}
+	},
+
+	/**
+	**	Stores an entry with the specified key, the entry is ignored if it can't be stored.
+	*/
+	set: function (key, value)
+	{
+		try {
+			this.storage.setItem(this.prefix + key, JSON.stringify(value));
+		}
+		catch (e) {
+		}
+	},
+
+	/**
+	**	Removes the entry with the specified key.
+	*/
+	remove: function (key)
+	{
+		this.storage.removeItem(this.prefix + key);
+	},
+
+	/**
+	**	Returns the keys of all the entries (without the prefix).
+	*/
+	keys: function ()
+	{
+		let list = [];
+
+		for (let i = 0; i < this.storage.length; i++)
+		{
+			let key = this.storage.key(i);
+			if (key !== null && key.startsWith(this.prefix))
+				list.push(key.substr(this.prefix.length));
+		}
+
+		return list;
+	},
+
+	/**
+	**	Removes all the entries, other data in the storage is kept.
+	*/
+	clear: function ()
+	{
+		for (let key of this.keys())
+			this.remove(key);
+	}
+});
+
+/**
+**	Cache backend that keeps the entries in an IndexedDB object store. All the methods of this backend return promises.
+*/
+export const IndexedDbCache = Class.extend
+({
+	className: 'IndexedDbCache',
+
+	/**
+	**	Promise resolved with the opened database.
+	*/
+	db: null,
+
+	__ctor: function (name='rin-front-cache')
+	{
+		this.db = new Promise((resolve, reject) =>
+		{
+			let req = global.indexedDB.open(name, 1);
+
+			req.onupgradeneeded = () => req.result.createObjectStore('entries');
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+	},
+
+	/**
+	**	Runs a request on the object store and returns a promise resolved with its result.
+	*/
+	_request: function (mode, fn)
+	{
+		return this.db.then(db => new Promise((resolve, reject) =>
+		{
+			let req = fn(db.transaction('entries', mode).objectStore('entries'));
+
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		}));
+	},
+
+	/**
+	**	Returns a promise resolved with the entry with the specified key or `null` if not found.
+	*/
+	get: function (key)
+	{
+		return this._request('readonly', store => store.get(key)).then(value => value === undefined ? null : value);
+	},
+
+	/**
+	**	Stores an entry with the specified key, returns a promise.
+	*/
+	set: function (key, value)
+	{
+		return this._request('readwrite', store => store.put(value, key));
+	},
+
+	/**
+	**	Removes the entry with the specified key, returns a promise.
+	*/
+	remove: function (key)
+	{
+		return this._request('readwrite', store => store.delete(key));
+	},
+
+	/**
+	**	Returns a promise resolved with the keys of all the entries.
+	*/
+	keys: function ()
+	{
+		return this._request('readonly', store => store.getAllKeys());
+	},
+
+	/**
+	**	Removes all the entries, returns a promise.
+	*/
+	clear: function ()
+	{
+		return this._request('readwrite', store => store.clear());
+	}
+});
@@ -0,0 +1,187 @@
+/*
+**	rin-front/api-error
+**
+**	Copyright (c) 2013-2021, RedStar Technologies, All rights reserved.
+**	https://www.rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS;
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT,
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+/**
+**	Base class for all errors reported by the Api. The `params` field contains the request parameters of the failed call.
+*/
+export class ApiError extends Error
+{
+	constructor (message, params=null)
+	{
+		super(message);
+		this.name = 'ApiError';
+		this.params = params;
+	}
+}
+
+/**
+**	Reported when the request could not be sent or the connection failed. The original exception is available in the `cause` field.
+*/
+export class ApiNetworkError extends ApiError
+{
+	constructor (cause, params=null)
+	{
+		super('Network error: ' + (cause && cause.message ? cause.message : cause), params);
+		this.name = 'ApiNetworkError';
+		this.cause = cause;
+	}
+}
+
+/**
+**	Reported when the server replies with an HTTP status other than 2xx.
+*/
+export class ApiHttpError extends ApiError
+{
+	constructor (status, statusText, params=null)
+	{
+		super('HTTP error ' + status + (statusText ? ': ' + statusText : ''), params);
+		this.name = 'ApiHttpError';
+		this.status = status;
+		this.statusText = statusText;
+	}
+}
+
+/**
+**	Reported when the response of the server is not valid JSON. The original exception is available in the `cause` field.
+*/
+export class ApiParseError extends ApiError
+{
+	constructor (cause, params=null)
+	{
+		super('Unable to parse response: ' + (cause && cause.message ? cause.message : cause), params);
+		this.name = 'ApiParseError';
+		this.cause = cause;
+	}
+}
+
+/**
+**	Reported when an API call is cancelled by calling `abort` on its handle or by its `signal` option.
+*/
+export class ApiAbortError extends ApiError
+{
+	constructor (params=null)
+	{
+		super('Request aborted.', params);
+		this.name = 'ApiAbortError';
+	}
+}
+
+/**
+**	Reported when an API call does not complete within the number of milliseconds specified by its `timeout` option.
+*/
+export class ApiTimeoutError extends ApiError
+{
+	constructor (timeout, params=null)
+	{
+		super('Request timed out after ' + timeout + 'ms.', params);
+		this.name = 'ApiTimeoutError';
+		this.timeout = timeout;
+	}
+}
+
+/**
+**	Reported when a Wind response has a `response` code other than 200 (only when the call is strict). The complete response object is
+**	available in the `data` field and the code in the `code` field.
+*/
+export class WindError extends ApiError
+{
+	constructor (data, params=null, message=null)
+	{
+		super(message || data.error || ('Response code ' + data.response), params);
+		this.name = 'WindError';
+		this.code = data.response;
+		this.data = data;
+	}
+
+	/**
+	**	Returns the appropriate WindError (or subclass) instance for the given response.
+	*/
+	static fromResponse (data, params=null)
+	{
+		switch (~~data.response)
+		{
+			case 403: return new WindPrivilegeError(data, params);
+			case 404: return new WindNotFoundError(data, params);
+			case 407: return new WindValidationError(data, params);
+			case 408: return new WindAuthError(data, params);
+			case 409: return new WindCustomError(data, params);
+		}
+
+		return new WindError(data, params);
+	}
+}
+
+/**
+**	Response code 403 (R_PRIVILEGE_REQUIRED): The function requires the invoker to have certain privilege.
+*/
+export class WindPrivilegeError extends WindError
+{
+	constructor (data, params=null)
+	{
+		super(data, params, data.error || 'Privilege required.');
+		this.name = 'WindPrivilegeError';
+	}
+}
+
+/**
+**	Response code 404 (R_NOT_FOUND): A requested resource could not be found.
+*/
+export class WindNotFoundError extends WindError
+{
+	constructor (data, params=null)
+	{
+		super(data, params, data.error || 'Resource not found.');
+		this.name = 'WindNotFoundError';
+	}
+}
+
+/**
+**	Response code 407 (R_VALIDATION_ERROR): One or more request fields did not pass validation, the `fields` object maps each field name to its
+**	error message.
+*/
+export class WindValidationError extends WindError
+{
+	constructor (data, params=null)
+	{
+		super(data, params, data.error || 'Validation error.');
+		this.name = 'WindValidationError';
+		this.fields = data.fields || { };
+	}
+}
+
+/**
+**	Response code 408 (R_NOT_AUTHENTICATED): The function requires the invoker to be an authenticated user.
+*/
+export class WindAuthError extends WindError
+{
+	constructor (data, params=null)
+	{
+		super(data, params, data.error || 'Not authenticated.');
+		this.name = 'WindAuthError';
+	}
+}
+
+/**
+**	Response code 409 (R_CUSTOM_ERROR): The `error` field of the response has the complete error message.
+*/
+export class WindCustomError extends WindError
+{
+	constructor (data, params=null)
+	{
+		super(data, params);
+		this.name = 'WindCustomError';
+	}
+}
@@ -14,18 +14,151 @@
 **	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
 */
 
+import { EventDispatcher } from '@rsthn/rin';
 import base64 from 'base-64';
 import _fetch from 'node-fetch';
+import { ApiError, ApiNetworkError, ApiHttpError, ApiParseError, ApiAbortError, ApiTimeoutError, WindError } from './api-error.js';
+import Busy from './busy.js';
+import Utils from './utils.js';
 
 if (!('fetch' in global))
 	global.fetch = _fetch;
 
 /**
-**	API interface utility functions.
+**	Creates the handle of an API call. The handle is a promise that settles with the result of the call, and the `success` and `failure`
+**	callbacks (if any) are invoked when it does. The call can be cancelled using the `abort` method of the handle, the optional `signal`
+**	(AbortSignal) or when `timeout` milliseconds elapse (if not zero). When `strict` is set, responses with a Wind code other than 200
+**	are reported as failures. Progress listeners are added with `onProgress` (or the `progress` option). Exceptions thrown by the callbacks
+**	are forwarded to `api.handlerError`.
 */
-
-export default
+function createHandle (api, params, success, failure, { signal, timeout, strict, progress })
 {
+	let controller = new AbortController();
+	let listeners = progress ? [progress] : [];
+	let timer = null;
+	let _resolve, _reject;
+
+	let handle = new Promise((resolve, reject) => { _resolve = resolve; _reject = reject; });
+
+	// Callback-only callers never attach a rejection handler to the handle.
+	handle.catch(() => { });
+
+	handle.params = params;
+	handle.signal = controller.signal;
+	handle.settled = false;
+	handle.result = null;
+	handle.error = null;
+
+	const onAbort = () => handle.abort();
+
+	const finish = () =>
+	{
+		handle.settled = true;
+
+		if (timer) clearTimeout(timer);
+		if (signal) signal.removeEventListener('abort', onAbort);
+	};
+
+	handle._succeed = function (result)
+	{
+		if (handle.settled) return;
+
+		if (strict && result.response != 200)
+		{
+			handle._fail(WindError.fromResponse(result, params));
+			return;
+		}
+
+		finish();
+		handle.result = result;
+
+		if (success) {
+			try { success(result, params); } catch(e) { api.handlerError(e, params); }
+		}
+
+		_resolve(result);
+	};
+
+	handle._fail = function (err)
+	{
+		if (handle.settled) return;
+		finish();
+		handle.error = err;
+
+		if (failure) {
+			try { failure(params, err); } catch(e) { api.handlerError(e, params); }
+		}
+
+		_reject(err);
+	};
+
+	handle._discard = function ()
+	{
+		if (handle.settled) return;
+		finish();
+	};
+
+	handle.abort = function ()
+	{
+		if (handle.settled) return;
+
+		controller.abort();
+		handle._fail(new ApiAbortError(params));
+	};
+
+	handle.onProgress = function (callback)
+	{
+		listeners.push(callback);
+		return handle;
+	};
+
+	handle._hasProgress = function ()
+	{
+		return listeners.length > 0;
+	};
+
+	handle._progress = function (info)
+	{
+		if (handle.settled) return;
+
+		for (let callback of listeners) {
+			try { callback(info); } catch(e) { api.handlerError(e, params); }
+		}
+	};
+
+	if (signal)
+	{
+		if (signal.aborted)
+		{
+			handle.abort();
+			return handle;
+		}
+
+		signal.addEventListener('abort', onAbort);
+	}
+
+	if (timeout > 0)
+	{
+		timer = setTimeout(() =>
+		{
+			controller.abort();
+			handle._fail(new ApiTimeoutError(timeout, params));
+		},
+		timeout);
+	}
+
+	return handle;
+}
+
+/**
+**	API interface utility functions. The exported object is the default client, independent clients (i.e. for other end-points) with their
+**	own configuration, package queue and busy tracking can be obtained by calling `create`.
+*/
+
+const Api = EventDispatcher.extend
+({
+	className: 'Api',
+
 	/**
 	**	Target URL for all the API requests. Set by calling `setEndPoint`.
 	*/
@@ -42,7 +175,135 @@ export default
 	retries: 1,
 
 	/**
-	**	Level of the current request. Used to detect nested requests.
+	**	Delay in milliseconds before the first retry. Each subsequent retry doubles the delay up to `retryMaxDelay`.
+	*/
+	retryDelay: 250,
+
+	/**
+	**	Maximum delay in milliseconds between retries.
+	*/
+	retryMaxDelay: 10000,
+
+	/**
+	**	Fraction of the retry delay (0 to 1) that is randomized, used to prevent clients from retrying all at the same time.
+	*/
+	retryJitter: 0.5,
+
+	/**
+	**	Wind response codes that cause an API call to be retried (besides network and HTTP 5xx errors).
+	*/
+	retryCodes: [],
+
+	/**
+	**	Regular expression matching the names (`f` parameter) of non-idempotent functions, calls to these functions are never retried
+	**	automatically unless the `idempotent` option is explicitly set.
+	*/
+	unsafeFunctions: /\.(add|delete)\b/,
+
+	/**
+	**	Default number of milliseconds to wait for an API call to complete before it is aborted with an `ApiTimeoutError`. Zero means no timeout.
+	*/
+	timeout: 0,
+
+	/**
+	**	When true, responses with a Wind `response` code other than 200 are reported to the `failure` callback as a `WindError` instead of
+	**	being passed to the `success` callback.
+	*/
+	strict: false,
+
+	/**
+	**	Encoding of the request data sent in POST requests: "form" (`application/x-www-form-urlencoded`) or "json" (`application/json`).
+	**	Requests with files are always sent as `multipart/form-data`.
+	*/
+	encoding: 'form',
+
+	/**
+	**	When true, calls are sent to REST paths instead of the end-point, the `f` parameter is mapped to an HTTP method and path using
+	**	`restRoutes`, and responses are converted to Wind responses using `restResponse`. Request packages are not used in this mode.
+	*/
+	rest: false,
+
+	/**
+	**	Map of function names to REST routes (HTTP method and path relative to the base path). Parameters of the form `:name` are replaced
+	**	with the respective request parameter. Functions not found here are sent as `POST /name`.
+	*/
+	restRoutes:
+	{
+		list: 'GET /',
+		count: 'GET /count',
+		enum: 'GET /enum',
+		get: 'GET /:id',
+		add: 'POST /',
+		update: 'PUT /:id',
+		delete: 'DELETE /:id'
+	},
+
+	/**
+	**	Indicates if calls should be bundled automatically in a request package (using the `rpkg` field) when issued within the same tick or
+	**	within `autoPackageDelay` milliseconds. Calls with files and calls with the `package` option set to false are never bundled.
+	*/
+	autoPackage: false,
+
+	/**
+	**	Number of milliseconds to wait for more calls before sending an automatic package. When zero, only calls issued within the same tick
+	**	are bundled together.
+	*/
+	autoPackageDelay: 0,
+
+	/**
+	**	Maximum number of sub-requests in a single request package, larger packages are split in several requests.
+	*/
+	packageLimit: 16,
+
+	/**
+	**	Ordered list of request interceptors. Added by calling `addRequestInterceptor`.
+	*/
+	requestInterceptors: null,
+
+	/**
+	**	Ordered list of response interceptors. Added by calling `addResponseInterceptor`.
+	*/
+	responseInterceptors: null,
+
+	/**
+	**	Cache backend used to store responses (i.e. `MemoryCache`, `StorageCache` or `IndexedDbCache`). Caching is disabled when null.
+	*/
+	cache: null,
+
+	/**
+	**	Map of function name patterns (i.e. `*.enum` or `config.get`) to cache rules, only responses of functions matching a rule are cached.
+	**	A rule is either the number of milliseconds a response is fresh, or an object `{ ttl, stale }` where `stale` is the number of additional
+	**	milliseconds an expired response is still returned while it is revalidated in the background.
+	*/
+	cacheRules: null,
+
+	/**
+	**	Regular expression matching the names of functions that modify data. Responses of these functions are never cached, and a successful
+	**	call invalidates the cached responses of all functions with the same base path (i.e. `candies.update` invalidates `candies.*`).
+	*/
+	mutatingFunctions: /\.(add|update|delete)\b/,
+
+	/**
+	**	When true, identical calls (same end-point and parameters) issued while another one is in progress share the same request and result
+	**	instead of sending a new one. Only idempotent calls without files are deduplicated.
+	*/
+	dedupe: true,
+
+	/**
+	**	Transport used to execute the requests instead of `fetch` (i.e. a `WindMock`). A transport is an object with a method `send (url, options,
+	**	handle)` that returns a promise resolved with a Response-like object (`ok`, `status`, `statusText`, `text()` and `json()`), where `options`
+	**	are the fetch options of the request.
+	*/
+	transport: null,
+
+	/**
+	**	Names of the events (besides unnamed `message` events) received by subscriptions that use `EventSource`, which only delivers the
+	**	events it listens to. Can be changed per subscription with the `events` option.
+	*/
+	eventNames: ['add', 'update', 'remove'],
+
+	/**
+	**	Number of requests of this client in progress. Used to detect nested requests.
 	*/
 	_requestLevel: 0,
 
@@ -54,7 +315,57 @@ export default
 	/**
 	**	When in package-mode, this contains the package data to be sent upon a call to packageEnd().
 	*/
-	_packageData: [],
+	_packageData: null,
+
+	/**
+	**	Pending (asynchronous) cache lookups of calls made in package-mode, the package is sent once they complete.
+	*/
+	_packageLookups: null,
+
+	/**
+	**	Calls waiting to be sent in the next automatic package.
+	*/
+	_autoPackageData: null,
+
+	/**
+	**	Timer of the pending automatic package (or `true` when waiting for the end of the current tick).
+	*/
+	_autoPackageTimer: null,
+
+	/**
+	**	Map of keys of the deduplicated calls in progress to their shared handle.
+	*/
+	_inflight: null,
+
+	/**
+	**	Constructs the client, any of the properties of this object can be specified in the optional `config` parameter.
+	*/
+	__ctor: function (config)
+	{
+		this._super.EventDispatcher.__ctor();
+
+		this.requestInterceptors = [];
+		this.responseInterceptors = [];
+		this._packageData = [];
+		this._packageLookups = [];
+		this._autoPackageData = [];
+		this.cacheRules = { };
+		this._inflight = { };
+
+		this.retryCodes = [...this.retryCodes];
+		this.restRoutes = { ...this.restRoutes };
+		this.eventNames = [...this.eventNames];
+
+		if (config) Object.assign(this, config);
+	},
+
+	/**
+	**	Creates a new independent client with the specified configuration (i.e. `{ apiUrl: '/api2' }`).
+	*/
+	create: function (config)
+	{
+		return new Api (config);
+	},
 
 	/**
 	**	Sets the API end-point URL address.
@@ -72,6 +383,132 @@ export default
 		return true;
 	},
 
+	/**
+	**	Adds a request interceptor at the end of the chain. The interceptor is called as `handler (req)` before each request (or sub-request of
+	**	a package) is sent, and can modify the `params`, `headers` and `method` fields of the request object or return a new one. Returning a
+	**	promise delays the request until it resolves, and throwing an error (or rejecting) fails the call with that error.
+	*/
+	addRequestInterceptor: function (handler)
+	{
+		this.requestInterceptors.push(handler);
+	},
+
+	/**
+	**	Adds a response interceptor at the end of the chain. The interceptor is called as `handler (res, req)` when a response (or sub-response
+	**	of a package) is received, and can return a transformed response (or a promise), `false` to drop the response, throw an error (or reject)
+	**	to fail the call, or return `req.retry()` to execute the request again and use the new response instead.
+	*/
+	addResponseInterceptor: function (handler)
+	{
+		this.responseInterceptors.push(handler);
+	},
+
+	/**
+	**	Removes a request or response interceptor previously added.
+	*/
+	removeInterceptor: function (handler)
+	{
+		this.requestInterceptors = this.requestInterceptors.filter(i => i !== handler);
+		this.responseInterceptors = this.responseInterceptors.filter(i => i !== handler);
+	},
+
+	/**
+	**	Returns a new request object for the given parameters, the parameters are copied to allow interceptors to modify them freely. The
+	**	`handle` is the one of the call being sent, its options are used again when the request is retried.
+	*/
+	_createRequest: function (params, httpMethod, packaged, handle=null)
+	{
+		let attempt = handle ? handle.attempt : 0;
+
+		let req =
+		{
+			params: null,
+			headers: { },
+			method: httpMethod,
+			packaged: packaged,
+			retried: false,
+			attempt: attempt,
+
+			retry: () =>
+			{
+				req.retried = true;
+				let options = handle ? { ...handle.options, signal: handle.signal, _packaged: false } : null;
+				return this.fetch(params, { ...options, method: httpMethod, strict: false, cache: false, dedupe: false, _attempt: attempt + 1 });
+			}
+		};
+
+		if (params instanceof FormData)
+		{
+			req.params = new FormData();
+
+			for (let i of params.entries())
+				req.params.append(i[0], i[1]);
+		}
+		else
+			req.params = {...params};
+
+		return req;
+	},
+
+	/**
+	**	Runs the request interceptors in order, returns a promise resolved with the final request object.
+	*/
+	_interceptRequest: function (req)
+	{
+		return this.requestInterceptors.reduce (
+			(promise, handler) => promise.then(req => Promise.resolve(handler(req)).then(value => value || req)),
+			Promise.resolve(req)
+		);
+	},
+
+	/**
+	**	Runs the response interceptors in order, returns a promise resolved with the final response. The chain stops when a response is dropped
+	**	or the request is retried.
+	*/
+	_interceptResponse: function (res, req)
+	{
+		return this.responseInterceptors.reduce (
+			(promise, handler) => promise.then(res =>
+			{
+				if (res === false || req.retried)
+					return res;
+
+				return Promise.resolve(handler(res, req)).then(value => value === undefined ? res : value);
+			}),
+			Promise.resolve(res)
+		);
+	},
+
+	/**
+	**	Runs the response interceptors and the response filter on a response and settles the handle accordingly. Returns a promise resolved
+	**	once the handle is settled.
+	*/
+	_receive: function (handle, res, req)
+	{
+		return (handle.isPackage ? Promise.resolve(res) : this._interceptResponse(res, req)).then (
+			res =>
+			{
+				if (res !== false && (req.retried || this.responseFilter(res, handle.params)))
+					handle._succeed(res);
+				else
+					handle._discard();
+			},
+			err =>
+			{
+				handle._fail(err);
+			}
+		);
+	},
+
+	/**
+	**	Overridable handler invoked when a `success` or `failure` callback throws an exception. By default the exception is re-thrown
+	**	asynchronously, so that it reaches the global error handlers instead of being lost.
+	*/
+	handlerError: function (err, params)
+	{
+		setTimeout(() => { throw err; }, 0);
+	},
+
 	/**
 	**	Starts "package-mode" (using the `rpkg` field). Any API calls after this will be bundled together.
 	*/
@@ -81,17 +518,18 @@ export default
 	},
 
 	/**
-	**	Finishes "package-mode" and a single API request with the currently constructed package will be sent.
+	**	Finishes "package-mode" and a single API request with the currently constructed package will be sent. The callback receives the summary
+	**	of the package (see `packageSend`). Returns a promise resolved with the summary, or null if the package was not sent yet (nested mode).
 	*/
 	packageEnd: function (callback)
 	{
 		if (!this._requestPackage)
-			return;
+			return null;
 
 		if (--this._requestPackage)
-			return;
+			return null;
 
-		this.packageSend(callback);
+		return this.packageSend(callback);
 	},
 
 	/**
@@ -101,140 +539,739 @@ export default
 	{
 		this.packageBegin();
 		callback();
-		this.packageEnd(responseCallback);
+		return this.packageEnd(responseCallback);
 	},
 
 	/**
-	**	Sends a single API request with the currently constructed package and maintains package-mode.
+	**	Sends the currently constructed package and maintains package-mode. The package is split in several requests when it has more than
+	**	`packageLimit` sub-requests. Once all of them have been completed the callback is invoked with the summary of the package, an object
+	**	with arrays `succeeded` and `failed`, each item having fields `params`, `code`, `response` and `error`. Returns a promise resolved with
+	**	the summary. Pending asynchronous cache lookups of calls made in package-mode are waited for before sending.
 	*/
 	packageSend: function (callback)
 	{
-		if (!this._packageData.length)
-			return;
+		if (this._packageLookups.length)
+		{
+			let lookups = this._packageLookups;
+			this._packageLookups = [];
+
+			return Promise.all(lookups).then(() => this.packageSend(callback));
+		}
 
 		let _packageData = this._packageData;
 		this._packageData = [];
 
-		var rpkg = "";
+		let pending = [];
+
+		for (let i = 0, list = _packageData.filter(i => !i[0].settled); i < list.length; i += this.packageLimit)
+			pending.push (this._sendPackage (list.slice(i, i + this.packageLimit)));
 
-		for (var i = 0; i < _packageData.length; i++)
-			rpkg += "r"+i+","+base64.encode(this.encodeParams(_packageData[i][2]))+";";
+		return Promise.all(pending).then(() =>
+		{
+			let summary = this._packageSummary(_packageData);
+			if (callback) callback(summary);
+			return summary;
+		});
+	},
+
+	/**
+	**	Returns the summary of the outcome of the given package calls. A call succeeded if it was resolved with a response code of 200, calls
+	**	whose response was dropped (by `responseFilter` or an interceptor) are not included.
+	*/
+	_packageSummary: function (_packageData)
+	{
+		let summary = { succeeded: [], failed: [] };
+
+		for (let [handle, params] of _packageData)
+		{
+			if (handle.error)
+			{
+				summary.failed.push({ params: params, code: handle.error instanceof WindError ? handle.error.code : null, response: handle.error instanceof WindError ? handle.error.data : null, error: handle.error });
+				continue;
+			}
+
+			if (!handle.result)
+				continue;
+
+			summary[handle.result.response == 200 ? 'succeeded' : 'failed'].push({ params: params, code: handle.result.response, response: handle.result, error: null });
+		}
+
+		return summary;
+	},
 
-		this._showProgress();
+	/**
+	**	Sends a single API request (using the `rpkg` field) with the given sub-requests. The request interceptors are run for each sub-request
+	**	before it is packed, and the response interceptors for each sub-response. Returns a promise resolved once the request is completed.
+	*/
+	_sendPackage: function (_packageData)
+	{
+		let busy = { busyScope: [].concat(..._packageData.map(i => i[0].busyScope || [])) };
+		this._showProgress(busy);
 
-		this.apiCall (
-			{ rpkg: rpkg },
+		return Promise.all(_packageData.map(i =>
+			this._interceptRequest(this._createRequest(i[1], null, true, i[0])).catch(err => { i[0]._fail(err); return null; })
+		))
+		.then(list => new Promise(resolve =>
+		{
+			var rpkg = "";
 
-			(res, req) =>
+			for (var i = 0; i < list.length; i++)
 			{
-				this._hideProgress();
+				if (list[i] !== null)
+					rpkg += "r"+i+","+base64.encode(this.encodeParams(list[i].params))+";";
+			}
 
-				for (let i = 0; i < _packageData.length; i++)
+			if (!rpkg)
+			{
+				this._hideProgress(busy);
+				resolve();
+				return;
+			}
+
+			this.apiCall (
+				{ rpkg: rpkg },
+
+				(res, req) =>
 				{
-					try
+					let pending = [];
+
+					for (let i = 0; i < _packageData.length; i++)
 					{
-						var response = res["r"+i];
+						if (list[i] === null)
+							continue;
+
+						let response = res["r"+i];
 						if (!response)
 						{
-							if (_packageData[i][1] != null) _packageData[i][1] (_packageData[i][2]);
+							_packageData[i][0]._fail (new ApiError('Response r'+i+' not found in package.', _packageData[i][1]));
 							continue;
 						}
 
-						if (_packageData[i][0] != null)
-						{
-							if (this.responseFilter (response, _packageData[i][2]))
-							{
-								_packageData[i][0] (response, _packageData[i][2]);
-							}
-						}
-					}
-					catch (e) {
-					}
-				}
+						pending.push (this._receive (_packageData[i][0], response, list[i]));
+					}
+
+					Promise.all(pending).then(resolve);
+				},
+
+				(req, err) =>
+				{
+					for (let i = 0; i < _packageData.length; i++)
+						_packageData[i][0]._fail (err);
+
+					resolve();
+				},
+
+				{ _package: true, busyScope: busy.busyScope, idempotent: list.every(i => i === null || this._isIdempotent(i.params)) }
+			);
+
+			this._hideProgress(busy);
+		}));
+	},
+
+	/**
+	**	Adds a call to the automatic package, which is sent once the current tick (or the `autoPackageDelay` window) ends.
+	*/
+	_addToAutoPackage: function (handle, params)
+	{
+		this._autoPackageData.push([handle, params]);
+
+		if (this._autoPackageTimer !== null)
+			return;
+
+		const flush = () =>
+		{
+			let _packageData = this._autoPackageData.filter(i => !i[0].settled);
+
+			this._autoPackageData = [];
+			this._autoPackageTimer = null;
+
+			if (_packageData.length == 1)
+			{
+				this._send (_packageData[0][0], _packageData[0][1], _packageData[0][0].method, _packageData[0][0].retries);
+				return;
+			}
+
+			for (let i = 0; i < _packageData.length; i += this.packageLimit)
+				this._sendPackage (_packageData.slice(i, i + this.packageLimit));
+		};
+
+		if (this.autoPackageDelay > 0)
+		{
+			this._autoPackageTimer = setTimeout(flush, this.autoPackageDelay);
+		}
+		else
+		{
+			this._autoPackageTimer = true;
+			Promise.resolve().then(flush);
+		}
+	},
+
+	/**
+	**	Returns true if any of the request parameters is a File or Blob, including those nested in objects, arrays and FileLists.
+	*/
+	_hasFiles: function (params)
+	{
+		return this.flattenParams(params).some(i => i[1] instanceof Blob);
+	},
+
+	/**
+	**	Returns true if the client has requests in progress.
+	*/
+	isBusy: function ()
+	{
+		return this._requestLevel > 0;
+	},
+
+	/**
+	**	Starts tracking the request of a handle in the `Busy` tracker (global scope and the scopes of the `busyScope` field of the handle).
+	*/
+	_showProgress: function (handle)
+	{
+		if (handle._busyEnd) return;
+
+		this._requestLevel++;
+		handle._busyEnd = Busy.begin(handle.busyScope);
+	},
+
+	/**
+	**	Stops tracking the request of a handle, has no effect if the request is not being tracked.
+	*/
+	_hideProgress: function (handle)
+	{
+		if (!handle._busyEnd) return;
+
+		this._requestLevel--;
+		handle._busyEnd();
+		handle._busyEnd = null;
+	},
+
+	/**
+	**	Returns a list of [name, value] pairs given an object with fields (or a FormData object). Nested objects and arrays are flattened using
+	**	bracket notation, for example `{ a: { b: [1] } }` results in `a[b][0]=1`.
+	*/
+	flattenParams: function (obj, prefix=null, list=[])
+	{
+		if (obj instanceof FormData)
+		{
+			for (let i of obj.entries())
+				list.push([i[0], i[1]]);
+
+			return list;
+		}
+
+		const add = (name, value) =>
+		{
+			if (value === null || typeof(value) != 'object' || (value instanceof Blob) || (value instanceof Date))
+				list.push([name, value]);
+			else
+				this.flattenParams(value, name, list);
+		};
+
+		if (Array.isArray(obj) || ('FileList' in global && obj instanceof FileList))
+		{
+			for (let i = 0; i < obj.length; i++)
+				add(prefix + '[' + i + ']', obj[i]);
+		}
+		else
+		{
+			for (let i in obj)
+				add(prefix === null ? i : prefix + '[' + i + ']', obj[i]);
+		}
+
+		return list;
+	},
+
+	/**
+	**	Returns a parameter string for a GET request given an object with fields, nested objects and arrays are encoded using bracket notation.
+	*/
+	encodeParams: function (obj)
+	{
+		return this.flattenParams(obj).map(i => encodeURIComponent(i[0]) + '=' + encodeURIComponent(i[1])).join('&');
+	},
+
+	/**
+	**	Returns the REST route for the given request parameters as an object with fields `method`, `url`, `name` (function name without the
+	**	base path) and `params` (parameters without `f` and route parameters). The route is obtained from `restRoutes` using the last part of
+	**	the `f` parameter, for example `candies.get` with `id=1` results in `GET /candies/1`.
+	*/
+	restRoute: function (params)
+	{
+		params = params instanceof FormData ? Object.fromEntries(params.entries()) : {...params};
+
+		let f = String(params.f || '');
+		delete params.f;
+
+		let k = f.lastIndexOf('.');
+		let name = k == -1 ? f : f.substr(k+1);
+		let path = (k == -1 ? '' : f.substr(0, k)).replace(/\./g, '/');
+
+		let route = name in this.restRoutes ? this.restRoutes[name] : 'POST /' + name;
+		k = route.indexOf(' ');
+
+		let url = (path + route.substr(k+1)).replace(/:([A-Za-z0-9_]+)/g, (m, i) =>
+		{
+			let value = params[i];
+			delete params[i];
+			return encodeURIComponent(value === undefined ? '' : value);
+		});
+
+		return { method: route.substr(0, k), url: this.apiUrl + '/' + url.replace(/\/+$/, '').replace(/^\/+/, ''), name: name, params: params };
+	},
+
+	/**
+	**	Overridable function that converts the response of a REST end-point to a Wind response (with a `response` code). Arrays are returned
+	**	in field `data`, numbers in field `count`, other scalars in field `value` and objects returned by `get` in field `data` as a single-item
+	**	array.
+	*/
+	restResponse: function (res, route)
+	{
+		if (res === null || res === undefined)
+			return { response: 200 };
+
+		if (Array.isArray(res))
+			return { response: 200, data: res };
+
+		if (typeof(res) == 'number')
+			return { response: 200, count: res };
+
+		if (typeof(res) != 'object')
+			return { response: 200, value: res };
+
+		if ('response' in res)
+			return res;
+
+		if (route.name == 'get')
+			return { response: 200, data: [res] };
+
+		return { response: 200, ...res };
+	},
+
+	/**
+	**	Executes an API call to the URL stored in the `apiUrl` property. By default `httpMethod` is "auto", which will determine the best depending on the data to
+	**	be sent. Any error will be reported to the `failure` callback as an `ApiError` (network, HTTP status, parse, abort or timeout), and similarly any success
+	**	to the `success` callback. The `params` object can be a FormData object or just a regular object.
+	**
+	**	The `httpMethod` parameter can also be an object with call options: `method`, `retries`, `signal` (AbortSignal to cancel the call), `timeout` (in
+	**	milliseconds) and `strict`. Returns the handle of the call, a promise with an `abort` method, which is rejected with the same error given to `failure`.
+	**
+	**	The `cache` option can be set to false to bypass the response cache, or to a cache rule to use instead of the one in `cacheRules`, and
+	**	the `dedupe` option can be set to false to always send a new request.
+	*/
+	apiCall: function (params, success, failure, httpMethod, retries)
+	{
+		let options = httpMethod !== null && typeof(httpMethod) == 'object' ? httpMethod : { method: httpMethod, retries: retries };
+
+		let handle = createHandle (this, params, success, failure,
+		{
+			signal: options.signal,
+			timeout: options.timeout !== undefined ? options.timeout : this.timeout,
+			strict: options.responseType == 'blob' ? false : (options.strict !== undefined ? options.strict : this.strict),
+			progress: options.progress
+		});
+		if (handle.settled) return handle;
+
+		// Cached responses are invalidated (waiting for asynchronous backends) before the handle is resolved and the callbacks run, so that
+		// they can reload the data right away.
+		if (this.cache && this._isMutating(params))
+		{
+			let f = params instanceof FormData ? params.get('f') : params.f;
+			let succeed = handle._succeed;
+
+			handle._succeed = (res) =>
+			{
+				if (res.response != 200)
+				{
+					succeed(res);
+					return;
+				}
+
+				this.invalidate(f.substr(0, f.lastIndexOf('.')) + '.*').then(() => succeed(res));
+			};
+		}
+
+		handle.responseType = options.responseType || 'json';
+
+		handle.isPackage = options._package === true;
+		handle.encoding = options.encoding || this.encoding;
+		handle.method = options.method;
+		handle.retries = options.retries !== undefined ? options.retries : this.retries;
+		handle.idempotent = options.idempotent !== undefined ? options.idempotent : this._isIdempotent(params);
+		handle.busyScope = options.busyScope || null;
+		handle.attempt = options._attempt || 0;
+		handle.options = options;
+
+		if (handle.responseType == 'blob')
+		{
+			this._send (handle, params, handle.method, handle.retries);
+			return handle;
+		}
+
+		let rule = handle.isPackage ? null : this._cacheRule(params, options.cache);
+		if (rule !== null)
+		{
+			this._cachedCall(handle, params, options, rule);
+			return handle;
+		}
+
+		this._dispatch(handle, params, options);
+		return handle;
+	},
+
+	/**
+	**	Sends the call of the given handle, either immediately or by adding it to the current request package.
+	*/
+	_dispatch: function (handle, params, options)
+	{
+		if (this.dedupe && options.dedupe !== false && !handle.isPackage && handle.idempotent && !this._isMutating(params) && !this._hasFiles(params))
+		{
+			this._dedupe(handle, params, options);
+			return;
+		}
+
+		if ((this._requestPackage || options._packaged) && !handle.isPackage && !this.rest)
+		{
+			if (!(params instanceof FormData))
+				params = {...params};
+
+			this._packageData.push([handle, params]);
+			return;
+		}
+
+		if (this.autoPackage && !handle.isPackage && !this.rest && options.package !== false && !this._hasFiles(params))
+		{
+			if (!(params instanceof FormData))
+				params = {...params};
+
+			this._addToAutoPackage(handle, params);
+			return;
+		}
+
+		this._send (handle, params, handle.method, handle.retries);
+	},
+
+	/**
+	**	Attaches the handle to the shared handle of an identical call in progress, or creates the shared handle and sends it. The shared request
+	**	is aborted only when all the attached handles have been aborted (or timed out).
+	*/
+	_dedupe: function (handle, params, options)
+	{
+		let key = (handle.method || 'auto') + ' ' + handle.encoding + ' ' + this.cacheKey(params);
+		let shared = this._inflight[key];
+
+		if (!shared)
+		{
+			let handles = [];
+
+			shared = createHandle (this, params, null, null,
+			{
+				timeout: 0, strict: false,
+				progress: handle._hasProgress() ? info => handles.forEach(h => h._progress(info)) : null
+			});
+
+			shared.handles = handles;
+			shared.encoding = handle.encoding;
+			shared.method = handle.method;
+			shared.retries = handle.retries;
+			shared.idempotent = true;
+			shared.busyScope = handle.busyScope;
+			shared.attempt = handle.attempt;
+			shared.options = { ...options, timeout: 0 };
+
+			let discard = shared._discard;
+			shared._discard = () =>
+			{
+				discard();
+				delete this._inflight[key];
+				handles.forEach(h => h._discard());
+			};
+
+			shared.then (
+				res => { delete this._inflight[key]; handles.forEach(h => h._succeed(res)); },
+				err => { delete this._inflight[key]; handles.forEach(h => h._fail(err)); }
+			);
+
+			this._inflight[key] = shared;
+			this._dispatch(shared, params, { ...options, dedupe: false });
+		}
+
+		shared.handles.push(handle);
+
+		handle.catch(err =>
+		{
+			if (!(err instanceof ApiAbortError || err instanceof ApiTimeoutError) || shared.settled)
+				return;
+
+			if (shared.handles.every(h => h.settled))
+				shared.abort();
+		});
+	},
+
+	/**
+	**	Returns true if the request parameters do not refer to a function matching `unsafeFunctions`.
+	*/
+	_isIdempotent: function (params)
+	{
+		let f = params instanceof FormData ? params.get('f') : params.f;
+		return !f || !this.unsafeFunctions.test(f);
+	},
+
+	/**
+	**	Returns true if the request parameters refer to a function matching `mutatingFunctions`.
+	*/
+	_isMutating: function (params)
+	{
+		let f = params instanceof FormData ? params.get('f') : params.f;
+		return !!f && this.mutatingFunctions.test(f);
+	},
+
+	/**
+	**	Returns true if the function name matches the given pattern, where `*` matches any sequence of characters.
+	*/
+	_matchFunction: function (f, pattern)
+	{
+		return new RegExp('^' + pattern.split('*').map(i => i.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$').test(f);
+	},
+
+	/**
+	**	Returns the cache rule `{ ttl, stale }` to use for the given request parameters, or `null` if the response should not be cached.
+	*/
+	_cacheRule: function (params, option)
+	{
+		if (!this.cache || option === false || this._isMutating(params) || this._hasFiles(params))
+			return null;
+
+		let rule = option !== undefined && option !== true ? option : null;
+		if (rule === null)
+		{
+			let f = String((params instanceof FormData ? params.get('f') : params.f) || '');
+
+			for (let pattern in this.cacheRules)
+			{
+				if (!this._matchFunction(f, pattern)) continue;
+				rule = this.cacheRules[pattern];
+				break;
+			}
+
+			if (rule === null) return null;
+		}
+
+		if (typeof(rule) == 'number')
+			rule = { ttl: rule };
+
+		return { ttl: rule.ttl || 0, stale: rule.stale || 0 };
+	},
+
+	/**
+	**	Returns the cache key of the given request parameters. The key starts with the function name and contains the end-point and all the
+	**	parameters sorted by name, so that calls with the same parameters share the cached response regardless of their order.
+	*/
+	cacheKey: function (params)
+	{
+		let f = (params instanceof FormData ? params.get('f') : params.f) || '';
+
+		return f + ' ' + this.apiUrl + '?' + this.flattenParams(params)
+			.filter(i => i[0] != '_')
+			.map(i => encodeURIComponent(i[0]) + '=' + encodeURIComponent(i[1]))
+			.sort().join('&');
+	},
+
+	/**
+	**	Invokes the callback with the given value, or with its result when the value is a promise (returned by asynchronous cache backends).
+	**	Returns a promise resolved once the callback is invoked.
+	*/
+	_cacheResult: function (value, callback)
+	{
+		if (value && typeof(value.then) == 'function')
+			return value.then(callback, () => callback(null));
+
+		return Promise.resolve(callback(value));
+	},
+
+	/**
+	**	Settles the handle with a cached response if it is fresh (or stale but still usable, in which case it is revalidated in the background),
+	**	otherwise the call is sent and its response is stored in the cache.
+	*/
+	_cachedCall: function (handle, params, options, rule)
+	{
+		let key = this.cacheKey(params);
+
+		let entry = null;
+		try { entry = this.cache.get(key); } catch (e) { }
+
+		// Calls made in package-mode are added to the package even if the lookup completes after `packageEnd`, which waits for the lookup.
+		let packaged = this._requestPackage && !this.rest;
+		if (packaged) options = { ...options, _packaged: true };
+
+		let lookup = this._cacheResult(entry, entry =>
+		{
+			if (handle.settled) return;
+
+			let age = entry ? Date.now() - entry.time : Infinity;
+			if (age < rule.ttl + rule.stale)
+			{
+				handle._succeed(entry.response);
+
+				if (age >= rule.ttl)
+				{
+					this._cacheStore(key, this.apiCall(params, null, null, {
+						method: options.method, encoding: options.encoding, retries: options.retries, timeout: options.timeout, cache: false
+					}));
+				}
+
+				return;
+			}
+
+			this._dispatch(handle, params, options);
+			this._cacheStore(key, handle);
+		});
+
+		if (packaged && entry && typeof(entry.then) == 'function')
+			this._packageLookups.push(lookup.catch(() => { }));
+	},
+
+	/**
+	**	Stores the response of the call in the cache once it completes successfully with response code 200.
+	*/
+	_cacheStore: function (key, handle)
+	{
+		handle.then(res =>
+		{
+			if (res.response == 200)
+				return this.cache.set(key, { time: Date.now(), response: res });
+		})
+		.catch(() => { });
+	},
+
+	/**
+	**	Removes from the cache the responses of all functions matching the given pattern (i.e. `candies.*`), or all the responses if no pattern
+	**	is specified. Returns a promise resolved when the entries have been removed.
+	*/
+	invalidate: function (pattern='*')
+	{
+		if (!this.cache) return Promise.resolve();
+
+		let keys = null;
+		try { keys = this.cache.keys(); } catch (e) { }
 
-				if (callback) callback();
-			},
+		return this._cacheResult(keys, keys =>
+		{
+			let list = [];
 
-			(req) =>
+			for (let key of (keys || []))
 			{
-				this._hideProgress();
-
-				for (let i = 0; i < _packageData.length; i++)
-				{
-					if (_packageData[i][1] != null) _packageData[i][1] (_packageData[i][2]);
-				}
+				if (this._matchFunction(key.substr(0, key.indexOf(' ')), pattern))
+					list.push(this.cache.remove(key));
 			}
-		);
+
+			return Promise.all(list);
+		})
+		.catch(() => { });
 	},
 
 	/**
-	**	Adds CSS class 'busy' to the HTML root element, works only if running inside a browser.
+	**	Overridable retry policy, returns true if a request that failed with the given error should be retried. By default network errors,
+	**	HTTP 5xx errors and Wind response codes listed in `retryCodes` are retried.
 	*/
-	_showProgress: function ()
+	shouldRetry: function (err, params)
 	{
-		if ('document' in global) {
-			this._requestLevel++;
-			if (this._requestLevel > 0) global.document.documentElement.classList.add('busy');
-		}
+		if (err instanceof ApiNetworkError)
+			return true;
+
+		if (err instanceof ApiHttpError)
+			return err.status >= 500;
+
+		if (err instanceof WindError)
+			return this.retryCodes.indexOf(err.code) != -1;
+
+		return false;
 	},
 
 	/**
-	**	Removes the 'busy' CSS class from the HTML element.
+	**	Returns the delay in milliseconds before the given retry attempt (starting at 1), using exponential backoff with jitter.
 	*/
-	_hideProgress: function ()
+	_retryDelay: function (attempt)
 	{
-		if ('document' in global) {
-			this._requestLevel--;
-			if (!this._requestLevel) global.document.documentElement.classList.remove('busy');
-		}
+		let delay = Math.min(this.retryMaxDelay, this.retryDelay * Math.pow(2, attempt-1));
+		return Math.round(delay - delay * this.retryJitter * Math.random());
 	},
 
 	/**
-	**	Returns a parameter string for a GET request given an object with fields.
+	**	Schedules a retry of the call if allowed by the remaining retries, the idempotency of the call and the retry policy. Returns true if
+	**	the retry was scheduled. Fires `retrying` event.
 	*/
-	encodeParams: function (obj)
+	_retry: function (handle, err, retries)
 	{
-		let s = [];
+		if (retries <= 0 || !handle.idempotent || !this.shouldRetry(err, handle.params))
+			return false;
 
-		if (obj instanceof FormData)
-		{
-			for (let i of obj.entries())
-				s.push(encodeURIComponent(i[0]) + '=' + encodeURIComponent(i[1]));
-		}
-		else
+		let attempt = handle.retries - retries + 1;
+		let delay = this._retryDelay(attempt);
+
+		this.dispatchEvent('retrying', { params: handle.params, error: err, attempt: attempt, delay: delay });
+
+		setTimeout(() =>
 		{
-			for (let i in obj)
-				s.push(encodeURIComponent(i) + '=' + encodeURIComponent(obj[i]));
-		}
+			if (!handle.settled)
+				this._send (handle, handle.params, handle.method, retries-1);
+		},
+		delay);
 
-		return s.join('&');
+		return true;
 	},
 
 	/**
-	**	Executes an API call to the URL stored in the `apiUrl` property. By default `httpMethod` is "auto", which will determine the best depending on the data to
-	**	be sent. Any connection error will be reported to the `failure` callback, and similarly any success to the `success` callback. The `params` object can be
-	**	a FormData object or just a regular object.
+	**	Sends the request of an API call (after running the request interceptors) and settles its handle once completed, retries the request
+	**	as many times as specified on failure.
 	*/
-	apiCall: function (params, success, failure, httpMethod, retries)
+	_send: function (handle, params, httpMethod, retries)
 	{
-		let url = this.apiUrl + '?_=' + Date.now();
+		this._showProgress(handle);
 
-		if (httpMethod != 'GET' && httpMethod != 'POST')
-			httpMethod = 'auto';
+		this._interceptRequest(this._createRequest(params, httpMethod, false, handle)).then (
+			req =>
+			{
+				if (handle.settled)
+				{
+					this._hideProgress(handle);
+					return;
+				}
+
+				try {
+					this._transmit (handle, req, retries);
+				}
+				catch (err) {
+					this._hideProgress(handle);
+					handle._fail(err);
+				}
+			},
+			err =>
+			{
+				this._hideProgress(handle);
+				handle._fail(err);
+			}
+		);
+	},
 
-		if (retries === undefined)
-			retries = this.retries;
+	/**
+	**	Executes the fetch of a request previously processed by the request interceptors.
+	*/
+	_transmit: function (handle, req, retries)
+	{
+		let url = this.apiUrl + '?_=' + Date.now();
+		let httpMethod = req.method;
+		let params = req.params;
+		let route = null;
 
-		if (this._requestPackage)
+		if (this.rest)
 		{
-			if (!(params instanceof FormData))
-				params = {...params};
+			route = this.restRoute(params);
 
-			this._packageData.push([success, failure, params]);
-			return;
+			url = route.url + (route.url.indexOf('?') == -1 ? '?' : '&') + '_=' + Date.now();
+			httpMethod = route.method;
+			params = route.params;
 		}
-
-		this._showProgress();
+		else if (httpMethod != 'GET' && httpMethod != 'POST')
+			httpMethod = 'auto';
 
 		let data = params;
 
@@ -244,22 +1281,24 @@ export default
 			mode: 'cors',
 			headers: {
 				'Accept': 'text/html,application/xhtml+xml,application/xml,application/json;q=0.9',
+				...req.headers
 			},
 			method: httpMethod,
 			body: null,
-			multipart: false
+			multipart: false,
+			signal: handle.signal
 		};
 
 		if (!(data instanceof FormData))
 		{
 			data = new FormData();
 
-			for (let i in params)
+			for (let i of this.flattenParams(params))
 			{
-				if ((params[i] instanceof File) || (params[i] instanceof Blob))
-					data.append(i, params[i], params[i].name);
+				if ((i[1] instanceof File) || (i[1] instanceof Blob))
+					data.append(i[0], i[1], i[1].name);
 				else
-					data.append(i, params[i]);
+					data.append(i[0], i[1]);
 			}
 		}
 
@@ -267,13 +1306,13 @@ export default
 		{
 			if ((i[1] instanceof File) || (i[1] instanceof Blob))
 			{
-				options.method = 'POST';
+				if (options.method != 'PUT') options.method = 'POST';
 				options.multipart = true;
 				break;
 			}
 		}
 
-		if (this.useReq64 && !options.multipart)
+		if (this.useReq64 && !options.multipart && !route)
 		{
 			let tmp = new FormData();
 			tmp.append('req64', base64.encode(this.encodeParams(data)));
@@ -298,67 +1337,510 @@ export default
 			}	
 		}
 
-		if (options.method == 'GET')
+		if (options.method == 'GET' || options.method == 'DELETE')
 		{
-			url += '&' + this.encodeParams(data);
+			let query = this.encodeParams(data);
+			if (query) url += '&' + query;
 		}
 		else
 		{
-			if (!options.multipart)
+			if (options.multipart)
+			{
+				options.body = data;
+			}
+			else if (handle.encoding == 'json')
+			{
+				options.headers['Content-Type'] = 'application/json';
+				options.body = JSON.stringify(params instanceof FormData ? Object.fromEntries(params.entries()) : params);
+			}
+			else
 			{
 				options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
 				options.body = this.encodeParams(data);
 			}
-			else
-				options.body = data;
 		}
 
-		global.fetch(url, options)
-		.then(result => result.json())
-		.then(result =>
+		let files = [];
+
+		for (let i of data.entries())
 		{
-			this._hideProgress();
-			if (!success) return
+			if ((i[1] instanceof File) || (i[1] instanceof Blob))
+				files.push({ name: i[0], filename: i[1].name || '', size: i[1].size });
+		}
+
+		this._fetch(url, options, handle, files)
+		.then(
+			result =>
+			{
+				if (handle.responseType == 'blob')
+					return this._readBlob(result, params);
+
+				if (!result.ok)
+					throw new ApiHttpError(result.status, result.statusText, params);
 
-			if (this.responseFilter(result, params)) {
-				try { success(result, params); } catch(e) { }
+				if (route)
+				{
+					return result.text()
+						.then(text => this.restResponse(text ? JSON.parse(text) : null, route))
+						.catch(err => { throw new ApiParseError(err, params); });
+				}
+
+				return result.json().catch(err => { throw new ApiParseError(err, params); });
+			},
+			err =>
+			{
+				throw new ApiNetworkError(err, params);
 			}
-		})
-		.catch(err =>
-		{
-			this._hideProgress();
+		)
+		.then(
+			result =>
+			{
+				this._hideProgress(handle);
+
+				if (handle.settled)
+					return;
+
+				if (handle.responseType == 'blob')
+				{
+					handle._succeed(result);
+					return;
+				}
 
-			if (retries == 0) {
-				if (failure) failure(params);
-			} else {
-				this.apiCall (data, success, failure, httpMethod, retries-1);
+				if (this.retryCodes.indexOf(~~result.response) != -1 && this._retry(handle, WindError.fromResponse(result, params), retries))
+					return;
+
+				this._receive(handle, result, req);
+			},
+			err =>
+			{
+				this._hideProgress(handle);
+
+				if (handle.settled || this._retry(handle, err, retries))
+					return;
+
+				if (handle.responseType == 'blob' && err instanceof WindError)
+					this._receiveBlobError(handle, err, req);
+				else
+					handle._fail(err);
+			}
+		);
+	},
+
+	/**
+	**	Runs the response interceptors on the Wind response of a failed binary call. The handle succeeds when an interceptor returns a Blob (i.e.
+	**	the result of `req.retry()`), otherwise it fails with the error.
+	*/
+	_receiveBlobError: function (handle, err, req)
+	{
+		this._interceptResponse(err.data, req).then (
+			res =>
+			{
+				if (res instanceof Blob)
+					handle._succeed(res);
+				else if (res === false)
+					handle._discard();
+				else
+					handle._fail(res === err.data ? err : WindError.fromResponse(res, handle.params));
+			},
+			err =>
+			{
+				handle._fail(err);
 			}
+		);
+	},
+
+	/**
+	**	Executes a request using the `transport` (if any), XMLHttpRequest (when the handle has progress listeners) or fetch.
+	*/
+	_fetch: function (url, options, handle, files)
+	{
+		if (this.transport)
+			return new Promise(resolve => resolve(this.transport.send(url, options, handle)));
+
+		if (handle._hasProgress() && 'XMLHttpRequest' in global)
+			return this._xhr(url, options, handle, files);
+
+		return global.fetch(url, options);
+	},
+
+	/**
+	**	Executes a request using XMLHttpRequest to report upload and download progress to the handle of the call. Returns a promise resolved
+	**	with a minimal Response-like object.
+	*/
+	_xhr: function (url, options, handle, files)
+	{
+		return new Promise((resolve, reject) =>
+		{
+			let xhr = new XMLHttpRequest();
+
+			xhr.open(options.method, url);
+			xhr.withCredentials = options.credentials == 'include';
+
+			if (handle.responseType == 'blob')
+				xhr.responseType = 'blob';
+
+			for (let i in options.headers)
+				xhr.setRequestHeader(i, options.headers[i]);
+
+			const progress = (type, evt) =>
+			{
+				let info = { type: type, loaded: evt.loaded, total: evt.lengthComputable ? evt.total : 0, files: [] };
+
+				if (type == 'upload' && files.length)
+				{
+					// Multipart overhead is distributed proportionally, the files are sent in order.
+					let size = files.reduce((sum, i) => sum + i.size, 0);
+					let done = info.total ? size * evt.loaded / info.total : evt.loaded;
+
+					info.files = files.map(i =>
+					{
+						let loaded = Math.max(0, Math.min(i.size, done));
+						done -= i.size;
+						return { name: i.name, filename: i.filename, loaded: Math.round(loaded), total: i.size };
+					});
+				}
+
+				handle._progress(info);
+			};
+
+			xhr.upload.onprogress = (evt) => progress('upload', evt);
+			xhr.onprogress = (evt) => progress('download', evt);
+
+			xhr.onload = () =>
+			{
+				const text = () => xhr.responseType == 'blob' ? xhr.response.text() : Promise.resolve(xhr.responseText);
+
+				resolve({
+					ok: xhr.status >= 200 && xhr.status < 300,
+					status: xhr.status,
+					statusText: xhr.statusText,
+					headers: { get: (name) => xhr.getResponseHeader(name) },
+					text: text,
+					json: () => text().then(value => JSON.parse(value)),
+					blob: () => Promise.resolve(xhr.responseType == 'blob' ? xhr.response : new Blob([xhr.responseText]))
+				});
+			};
+
+			xhr.onerror = () => reject(new Error('Network request failed'));
+			xhr.onabort = () => reject(new Error('Request aborted'));
+
+			handle.signal.addEventListener('abort', () => xhr.abort());
+
+			xhr.send(options.body);
 		});
 	},
 
 	/**
-	**	Executes a POST API call.
+	**	Executes a POST API call, returns the handle of the call.
 	*/
-	post: function (params, success, failure)
+	post: function (params, success, failure, options=null)
 	{
-		return this.apiCall(params, success, failure, 'POST');
+		return this.apiCall(params, success, failure, { ...options, method: 'POST' });
 	},
 
 	/**
-	**	Executes a GET API call.
+	**	Executes a GET API call, returns the handle of the call.
 	*/
-	get: function (params, success, failure)
+	get: function (params, success, failure, options=null)
 	{
-		return this.apiCall(params, success, failure, 'GET');
+		return this.apiCall(params, success, failure, { ...options, method: 'GET' });
 	},
 
 	/**
-	**	Executes an automatic API call, returns a promise.
+	**	Executes an automatic API call, returns the handle of the call (a promise). The optional `options` are the same as in `apiCall`.
+	*/
+	fetch: function (params, options=null)
+	{
+		return this.apiCall(params, null, null, options);
+	},
+
+	/**
+	**	Returns a promise resolved with the contents of a response as a Blob, or as a File when the `Content-Disposition` header has a filename.
+	**	JSON responses with a Wind `response` code other than 200 are reported as `WindError`.
+	*/
+	_readBlob: function (result, params)
+	{
+		let type = (result.headers && result.headers.get('Content-Type')) || '';
+		let filename = this.contentFilename(result.headers ? result.headers.get('Content-Disposition') : null);
+
+		return result.blob().then(blob =>
+		{
+			if (type.indexOf('json') == -1)
+			{
+				if (!result.ok) throw new ApiHttpError(result.status, result.statusText, params);
+				return blob;
+			}
+
+			return blob.text().then(text =>
+			{
+				let res = null;
+				try { res = JSON.parse(text); } catch (e) { }
+
+				if (res !== null && typeof(res) == 'object' && 'response' in res && res.response != 200)
+					throw WindError.fromResponse(res, params);
+
+				if (!result.ok) throw new ApiHttpError(result.status, result.statusText, params);
+				return blob;
+			});
+		})
+		.then(blob => filename ? new File([blob], filename, { type: blob.type }) : blob);
+	},
+
+	/**
+	**	Returns the filename specified in a `Content-Disposition` header, or `null` if not present. The `filename*` parameter (RFC 5987) is
+	**	preferred over `filename`.
+	*/
+	contentFilename: function (header)
+	{
+		if (!header) return null;
+
+		let m = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;\s]+)/i);
+		if (m)
+		{
+			try {
+				return decodeURIComponent(m[2].replace(/^"|"$/g, ''));
+			}
+			catch (e) {
+			}
+		}
+
+		m = header.match(/filename\s*=\s*("(?:[^"\\]|\\.)*"|[^;]+)/i);
+		if (!m) return null;
+
+		let value = m[1].trim();
+		return value[0] == '"' ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+	},
+
+	/**
+	**	Executes an API call and returns a handle resolved with the response as a Blob (or File when the server provides a filename). The call
+	**	goes through the interceptors, retries and timeouts like any other call, but is never cached, deduplicated or packaged. The `options`
+	**	are the same as `apiCall`.
+	*/
+	fetchBlob: function (params, options=null)
+	{
+		return this.apiCall(params, null, null, { ...options, responseType: 'blob' });
+	},
+
+	/**
+	**	Executes an API call using `fetchBlob` and shows a download dialog to save the response (only in browsers). The name of the file is
+	**	obtained from the `filename` option, the `Content-Disposition` header or defaults to "download". Returns the handle of the call.
+	*/
+	download: function (params, options=null)
+	{
+		let handle = this.fetchBlob(params, options);
+
+		handle.then(blob =>
+		{
+			if (!('document' in global))
+				return;
+
+			let url = URL.createObjectURL(blob);
+			Utils.showDownload((options && options.filename) || blob.name || 'download', url);
+			setTimeout(() => URL.revokeObjectURL(url), 1000);
+		},
+		() => { });
+
+		return handle;
+	},
+
+	/**
+	**	Subscribes to a stream of Server-Sent Events of the end-point given the request parameters (i.e. `{ f: 'candies.changes' }`). The data
+	**	of each event is parsed as a Wind response and passed to the `handler` along with the event name, responses with a code other than 200
+	**	and any connection error are reported to the `onError` option. When the connection fails or is closed by the server it is opened again
+	**	after the same delays used for retries, firing the `reconnecting` event, up to `retries` times (option, unlimited by default).
+	**
+	**	The stream is read using EventSource when available and no headers were added by the request interceptors, otherwise using fetch. The
+	**	connection attempt is tracked by `Busy` (global scope and the `busyScope` option). Returns the subscription object, call its `close`
+	**	method to end the subscription.
+	*/
+	subscribe: function (params, handler, options=null)
+	{
+		options = options || { };
+
+		let sub = { params: params, connected: false, closed: false, attempt: 0, lastEventId: null };
+		let source = null, controller = null, timer = null, busyEnd = null;
+
+		const report = (err) =>
+		{
+			if (options.onError) {
+				try { options.onError(err); } catch(e) { this.handlerError(e, params); }
+			}
+		};
+
+		const receive = (data, name, id) =>
+		{
+			if (id) sub.lastEventId = id;
+
+			let res;
+			try {
+				res = JSON.parse(data);
+			}
+			catch (e) {
+				report(new ApiParseError(e, params));
+				return;
+			}
+
+			if (res.response != 200)
+			{
+				report(WindError.fromResponse(res, params));
+				return;
+			}
+
+			try { handler(res, name); } catch(e) { this.handlerError(e, params); }
+		};
+
+		const stop = () =>
+		{
+			if (busyEnd) { busyEnd(); busyEnd = null; }
+			if (timer) { clearTimeout(timer); timer = null; }
+			if (source) { source.close(); source = null; }
+			if (controller) { controller.abort(); controller = null; }
+
+			sub.connected = false;
+		};
+
+		const opened = () =>
+		{
+			if (busyEnd) { busyEnd(); busyEnd = null; }
+
+			sub.connected = true;
+			sub.attempt = 0;
+
+			if (options.onOpen) {
+				try { options.onOpen(sub); } catch(e) { this.handlerError(e, params); }
+			}
+		};
+
+		const failed = (err) =>
+		{
+			if (sub.closed) return;
+
+			stop();
+			report(err);
+
+			if (options.retries !== undefined && sub.attempt >= options.retries)
+			{
+				sub.closed = true;
+				return;
+			}
+
+			let delay = this._retryDelay(++sub.attempt);
+			this.dispatchEvent('reconnecting', { params: params, error: err, attempt: sub.attempt, delay: delay });
+
+			timer = setTimeout(connect, delay);
+		};
+
+		const connect = () =>
+		{
+			timer = null;
+			busyEnd = Busy.begin(options.busyScope);
+
+			this._interceptRequest(this._createRequest(params, 'GET', false)).then(req =>
+			{
+				if (sub.closed) return;
+
+				let url = this.makeUrl(req.params);
+
+				if ('EventSource' in global && !Object.keys(req.headers).length)
+				{
+					if (sub.lastEventId)
+						url = this.makeUrl({ ...req.params, lastEventId: sub.lastEventId });
+
+					source = new EventSource(url, { withCredentials: true });
+					source.onopen = opened;
+					source.onerror = () => failed(new ApiNetworkError('Connection lost.', params));
+
+					for (let name of ['message', ...(options.events || this.eventNames)])
+						source.addEventListener(name, evt => receive(evt.data, evt.type, evt.lastEventId));
+
+					return;
+				}
+
+				let headers = { 'Accept': 'text/event-stream', ...req.headers };
+				if (sub.lastEventId) headers['Last-Event-ID'] = sub.lastEventId;
+
+				controller = new AbortController();
+
+				return global.fetch(url, { credentials: 'include', mode: 'cors', headers: headers, signal: controller.signal })
+				.then(result =>
+				{
+					if (!result.ok)
+						throw new ApiHttpError(result.status, result.statusText, params);
+
+					opened();
+					return this._readEvents(result.body, receive);
+				})
+				.then(() => failed(new ApiNetworkError('Connection closed.', params)));
+			})
+			.catch(err => failed(err instanceof ApiError ? err : new ApiNetworkError(err, params)));
+		};
+
+		sub.close = () =>
+		{
+			sub.closed = true;
+			stop();
+		};
+
+		connect();
+		return sub;
+	},
+
+	/**
+	**	Reads a stream of Server-Sent Events (web ReadableStream or Node stream) and invokes the callback with the data, name and id of each
+	**	event. Returns a promise resolved when the stream ends.
 	*/
-	fetch: function (params)
+	_readEvents: function (body, callback)
 	{
-		return new Promise((resolve, reject) => {
-			this.apiCall(params, resolve, reject);
+		let decoder = new TextDecoder();
+		let buffer = '', data = [], name = 'message', id = null;
+
+		const line = (str) =>
+		{
+			if (str === '')
+			{
+				if (data.length) callback(data.join('\n'), name, id);
+
+				data = [];
+				name = 'message';
+				return;
+			}
+
+			if (str[0] == ':') return;
+
+			let k = str.indexOf(':');
+			let field = k == -1 ? str : str.substr(0, k);
+			let value = k == -1 ? '' : str.substr(k+1);
+			if (value[0] == ' ') value = value.substr(1);
+
+			switch (field)
+			{
+				case 'data': data.push(value); break;
+				case 'event': name = value; break;
+				case 'id': id = value; break;
+			}
+		};
+
+		const chunk = (value) =>
+		{
+			buffer += typeof(value) == 'string' ? value : decoder.decode(value, { stream: true });
+
+			let lines = buffer.split(/\r\n|\r|\n/);
+			buffer = lines.pop();
+			lines.forEach(line);
+		};
+
+		if (typeof(body.getReader) == 'function')
+		{
+			let reader = body.getReader();
+			const next = () => reader.read().then(r => { if (r.done) return; chunk(r.value); return next(); });
+			return next();
+		}
+
+		return new Promise((resolve, reject) =>
+		{
+			body.on('data', chunk);
+			body.on('end', resolve);
+			body.on('error', reject);
 		});
 	},
 
@@ -369,4 +1851,6 @@ export default
 	{
 		return this.apiUrl + (this.apiUrl.indexOf('?') == -1 ? '?' : '&') + this.encodeParams(data);
 	}
-};
+});
+
+export default new Api();
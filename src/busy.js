@@ -0,0 +1,149 @@
+/*
+**	rin-front/busy
+**
+**	Copyright (c) 2013-2021, RedStar Technologies, All rights reserved.
+**	https://www.rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS;
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT,
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { EventDispatcher } from '@rsthn/rin';
+
+/**
+**	Tracks the number of operations in progress (i.e. API calls) globally and per named scope. A scope is considered busy after it has
+**	operations in progress for `delay` milliseconds, at which point the `start` event is dispatched, and the `end` event is dispatched once
+**	all of its operations complete. Event arguments are `scope` (null for the global scope) and `level`.
+**
+**	While busy, the HTML root element gets CSS class `busy` (global scope), as well as any element with a `data-busy-scope` attribute equal
+**	to the name of a busy scope.
+*/
+
+const Busy = EventDispatcher.extend
+({
+	className: 'Busy',
+
+	/**
+	**	Number of milliseconds operations must be in progress before the scope is considered busy, prevents short operations from flashing
+	**	loading indicators.
+	*/
+	delay: 0,
+
+	/**
+	**	State of each scope (the global scope has an empty name), objects with fields `level`, `busy` and `timer`.
+	*/
+	scopes: null,
+
+	__ctor: function ()
+	{
+		this._super.EventDispatcher.__ctor();
+		this.scopes = { };
+	},
+
+	/**
+	**	Returns the state object of the given scope.
+	*/
+	_scope: function (name)
+	{
+		name = name || '';
+
+		if (!(name in this.scopes))
+			this.scopes[name] = { level: 0, busy: false, timer: null };
+
+		return this.scopes[name];
+	},
+
+	/**
+	**	Starts an operation in the global scope and the given scope(s), returns a function to be called when the operation completes. The
+	**	function can be called any number of times but only the first call has effect.
+	*/
+	begin: function (scopes=null)
+	{
+		let list = [''].concat(scopes ? [].concat(scopes) : []).filter((i, index, list) => i !== null && list.indexOf(i) == index);
+
+		for (let name of list)
+		{
+			let scope = this._scope(name);
+			if (scope.level++ != 0) continue;
+
+			if (this.delay > 0)
+				scope.timer = setTimeout(() => { scope.timer = null; this._update(name, true); }, this.delay);
+			else
+				this._update(name, true);
+		}
+
+		let active = true;
+
+		return () =>
+		{
+			if (!active) return;
+			active = false;
+
+			for (let name of list)
+			{
+				let scope = this._scope(name);
+				if (--scope.level != 0) continue;
+
+				if (scope.timer) {
+					clearTimeout(scope.timer);
+					scope.timer = null;
+				}
+
+				if (scope.busy) this._update(name, false);
+			}
+		};
+	},
+
+	/**
+	**	Tracks the given promise as an operation in the given scope(s). Returns the same promise.
+	*/
+	track: function (promise, scopes=null)
+	{
+		let end = this.begin(scopes);
+		promise.then(end, end);
+		return promise;
+	},
+
+	/**
+	**	Returns the number of operations in progress in the given scope, or in the global scope if none specified.
+	*/
+	count: function (scope=null)
+	{
+		return this._scope(scope).level;
+	},
+
+	/**
+	**	Returns true if the given scope (or the global scope if none specified) is busy.
+	*/
+	isBusy: function (scope=null)
+	{
+		return this._scope(scope).busy;
+	},
+
+	/**
+	**	Sets the busy state of a scope, updates the elements reflecting it and dispatches the `start` or `end` event.
+	*/
+	_update: function (name, busy)
+	{
+		let scope = this._scope(name);
+		scope.busy = busy;
+
+		if ('document' in global)
+		{
+			if (!name)
+				global.document.documentElement.classList[busy ? 'add' : 'remove']('busy');
+			else
+				global.document.querySelectorAll('[data-busy-scope="' + name.replace(/["\\]/g, '\\$&') + '"]').forEach(e => e.classList[busy ? 'add' : 'remove']('busy'));
+		}
+
+		this.dispatchEvent(busy ? 'start' : 'end', { scope: name || null, level: scope.level });
+	}
+});
+
+export default new Busy();
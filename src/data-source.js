@@ -16,6 +16,7 @@
 
 import { Model, ModelList, EventDispatcher } from '@rsthn/rin';
 import Api from './api.js';
+import { ApiAbortError } from './api-error.js';
 
 /*
 **	Provides several methods to quickly interface with a remote data-source as defined by Wind.
@@ -28,6 +29,18 @@ export default EventDispatcher.extend
 
 	request: null,
 
+	api: null,
+
+	/*
+	**	Name of the `Busy` scope used to track the API calls of the data source, defaults to the basePath.
+	*/
+	busyScope: null,
+
+	/*
+	**	Name of the field that identifies the items of the list, used to apply change events (see `subscribe`).
+	*/
+	keyField: 'id',
+
 	includeCount: false,
 	includeEnum: false,
 	includeList: true,
@@ -50,11 +63,17 @@ export default EventDispatcher.extend
 
 		if (config) Object.assign(this, config);
 
+		if (!this.api) this.api = Api;
+		if (!this.busyScope) this.busyScope = basePath;
+
 		this.request = new Model(this.request);
 
 		this.eid = Math.random().toString().substr(2);
 		this.count = 0;
 
+		this._pending = { };
+		this._subscription = null;
+
 		this.list = new ModelList();
 		this.list.dataSource = this;
 
@@ -115,13 +134,13 @@ export default EventDispatcher.extend
 		{
 			this._timeout = null;
 
-			Api.packageBegin();
+			this.api.packageBegin();
 
 			if (this.includeCount && (mode == 'full' || mode == 'filter')) this.fetchCount();
 			if (this.includeEnum && (mode == 'full')) this.fetchEnum();
 			if (this.includeList) this.fetchList();
 
-			Api.packageEnd(callback);
+			this.api.packageEnd(callback);
 		};
 
 		if (mode === true)
@@ -180,6 +199,33 @@ export default EventDispatcher.extend
 		});
 	},
 
+	/*
+	**	Executes an API call and passes the response to the callback. Any previous call with the same `name` still in progress is aborted, this
+	**	ensures that responses of overlapping calls are never applied out of order. Failed calls (other than aborted ones) fire the event
+	**	`<name>Error` with the `error`.
+	*/
+	_fetchLatest: function (name, data, callback)
+	{
+		if (this._pending[name])
+			this._pending[name].abort();
+
+		let handle = this._pending[name] = this.api.fetch(data, { busyScope: this.busyScope });
+
+		handle.then(r =>
+		{
+			this._pending[name] = null;
+
+			try { callback(r); } catch (e) { this.api.handlerError(e, data); }
+		},
+		err =>
+		{
+			if (err instanceof ApiAbortError) return;
+
+			this._pending[name] = null;
+			this.dispatchEvent(name + 'Error', { error: err });
+		});
+	},
+
 	fetchList: function ()
 	{
 		let data = {...this.request.get()};
@@ -188,7 +234,7 @@ export default EventDispatcher.extend
 
 		this.dispatchEvent('listLoading');
 
-		Api.fetch(data).then(r => {
+		this._fetchLatest('list', data, r => {
 			this.list.setData(r.response == 200 ? r.data : null);
 			this.dispatchEvent('listLoaded');
 			this.dispatchEvent('listChanged');
@@ -203,7 +249,7 @@ export default EventDispatcher.extend
 
 		this.dispatchEvent('enumLoading');
 
-		Api.fetch(data).then(r => {
+		this._fetchLatest('enum', data, r => {
 			this.enum.setData(r.response == 200 ? r.data : null);
 			this.dispatchEvent('enumLoaded');
 			this.dispatchEvent('enumChanged');
@@ -218,7 +264,7 @@ export default EventDispatcher.extend
 
 		this.dispatchEvent('countLoading');
 
-		Api.fetch(data).then(r => {
+		this._fetchLatest('count', data, r => {
 			this.count = r.response == 200 ? r.count : 0;
 			this.dispatchEvent('countLoaded');
 			this.dispatchEvent('countChanged');
@@ -231,7 +277,7 @@ export default EventDispatcher.extend
 
 		data.f = this.basePath + '.get';
 
-		Api.fetch(data).then(r => {
+		this.api.fetch(data, { busyScope: this.busyScope }).then(r => {
 			callback(r);
 		});
 	},
@@ -242,7 +288,7 @@ export default EventDispatcher.extend
 
 		data.f = this.basePath + '.delete';
 
-		Api.fetch(data).then(r => {
+		this.api.fetch(data, { busyScope: this.busyScope }).then(r => {
 			callback(r);
 		});
 	},
@@ -254,7 +300,84 @@ export default EventDispatcher.extend
 		if (data.f[0] == '.')
 			data.f = this.basePath + data.f;
 
-		return Api.fetch(data);
+		return this.api.fetch(data, { busyScope: this.busyScope });
+	},
+
+	/*
+	**	Subscribes to the `.changes` event stream of the data source (see `Api.subscribe`) to apply the changes to `list` as they arrive. The
+	**	`options` are passed to `Api.subscribe`. Returns the subscription object.
+	*/
+	subscribe: function (options=null)
+	{
+		if (!this._subscription)
+		{
+			this._subscription = this.api.subscribe (
+				{ f: this.basePath + '.changes' },
+				(r, name) => this.applyChange(r.action || name, r.data),
+				{ busyScope: this.busyScope, ...options }
+			);
+		}
+
+		return this._subscription;
+	},
+
+	/*
+	**	Ends the subscription started by `subscribe`.
+	*/
+	unsubscribe: function ()
+	{
+		if (!this._subscription) return;
+
+		this._subscription.close();
+		this._subscription = null;
+	},
+
+	/*
+	**	Applies a change to `list`, the `action` can be `add`, `update` or `remove`, and `data` is the item (at least its `keyField`). Added
+	**	items that are already in the list are updated instead, and changes to items not in the list are ignored. Fires `changeApplied`.
+	*/
+	applyChange: function (action, data)
+	{
+		if (!data) return;
+
+		let index = data[this.keyField] !== undefined ? this.list.find({ [this.keyField]: data[this.keyField] }) : -1;
+
+		switch (action)
+		{
+			case 'add':
+				if (index != -1)
+				{
+					this.list.getAt(index).set(data);
+					this.list.updateAt(index);
+					break;
+				}
+
+				this.list.push(data);
+				this.count++;
+				this.dispatchEvent('countChanged');
+				break;
+
+			case 'update':
+				if (index == -1) return;
+
+				this.list.getAt(index).set(data);
+				this.list.updateAt(index);
+				break;
+
+			case 'remove':
+				if (index == -1) return;
+
+				this.list.removeAt(index);
+				this.count--;
+				this.dispatchEvent('countChanged');
+				break;
+
+			default:
+				return;
+		}
+
+		this.dispatchEvent('listChanged');
+		this.dispatchEvent('changeApplied', { action: action, data: data });
 	},
 
 	makeUrl: function (params)
@@ -264,6 +387,6 @@ export default EventDispatcher.extend
 		if (data.f[0] == '.')
 			data.f = this.basePath + data.f;
 
-		return Api.makeUrl(data);
+		return this.api.makeUrl(data);
 	}
 });
@@ -15,6 +15,7 @@
 */
 
 import { Rin, Model, Template } from '@rsthn/rin';
+import Router from './router.js';
 
 /**
 **	Map containing the original prototypes for all registered elements.
@@ -1463,6 +1464,31 @@ const Element =
 		};
 
 		window.addEventListener('click', fn, true);
+	},
+
+	/**
+	**	:navigate <routeName|location> [<name>=<value>...]
+	**
+	**	Navigates to the location of the named route generated with the given parameters (see `Router.url`), or to the given location when
+	**	no route with such name is defined.
+	*/
+	":navigate": function (args, evt)
+	{
+		if (!(args[1] in Router.names))
+		{
+			Router.navigate(args[1]);
+			return;
+		}
+
+		let params = { };
+
+		for (let i = 2; i < args.length; i++)
+		{
+			let k = args[i].indexOf('=');
+			if (k != -1) params[args[i].substr(0, k)] = args[i].substr(k+1);
+		}
+
+		Router.navigate(Router.url(args[1], params));
 	}
 };
 
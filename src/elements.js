@@ -23,6 +23,7 @@ import _Paginator from './elems/r-paginator.js';
 import _Table from './elems/r-table.js';
 import _Select from './elems/r-select.js';
 import _ImageCropper from './elems/r-image-cropper.js';
+import _Busy from './elems/r-busy.js';
 
 export default {
 	Tabs: _Tabs,
@@ -33,5 +34,6 @@ export default {
 	Paginator: _Paginator,
 	Table: _Table,
 	Select: _Select,
-	ImageCropper: _ImageCropper
+	ImageCropper: _ImageCropper,
+	Busy: _Busy
 };
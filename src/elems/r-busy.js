@@ -0,0 +1,72 @@
+/*
+**	elems/r-busy
+**
+**	Copyright (c) 2019-2021, RedStar Technologies, All rights reserved.
+**	https://www.rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+/*
+	<r-busy [data-scope="name"]>
+		Loading...
+	</r-busy>
+
+	r-busy:not(.busy) {
+		display: none;
+	}
+*/
+
+import Element from '../element.js';
+import Busy from '../busy.js';
+
+export default Element.register ('r-busy',
+{
+	/**
+	**	Initializes the element.
+	*/
+	init: function()
+	{
+		// Executed when a busy scope starts or ends.
+		this._onBusyChanged = (evt, args) =>
+		{
+			if (args.scope === (this.dataset.scope || null))
+				this.update();
+		};
+	},
+
+	/**
+	**	Adds the handlers to the Busy tracker and updates the state of the element.
+	*/
+	onConnected: function()
+	{
+		Busy.addEventListener('start', this._onBusyChanged);
+		Busy.addEventListener('end', this._onBusyChanged);
+
+		this.update();
+	},
+
+	/**
+	**	Removes the handlers previously added to the Busy tracker.
+	*/
+	onDisconnected: function()
+	{
+		Busy.removeEventListener('start', this._onBusyChanged);
+		Busy.removeEventListener('end', this._onBusyChanged);
+	},
+
+	/**
+	**	Sets the `busy` class of the element if the scope specified in the `data-scope` attribute (or the global scope) is busy.
+	*/
+	update: function ()
+	{
+		this.classList[Busy.isBusy(this.dataset.scope || null) ? 'add' : 'remove']('busy');
+	}
+});
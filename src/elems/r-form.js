@@ -15,7 +15,7 @@
 */
 
 /*
-<r-form data-form-action="api-function-name" [data-strict="true|false"] [data-errors-at=""]>
+<r-form data-form-action="api-function-name" [data-strict="true|false"] [data-errors-at=""] [data-busy-scope=""]>
 	<input type="text" data-field="username"/>
 </r-form>
 
@@ -32,6 +32,7 @@ r-form span.field-error {
 import { Template } from '@rsthn/rin';
 import Element from '../element.js';
 import Api from '../api.js';
+import { WindError } from '../api-error.js';
 
 export default Element.register ('r-form',
 {
@@ -391,7 +392,10 @@ export default Element.register ('r-form',
 		if (typeof(f) != 'function')
 		{
 			data.f = f;
-			Api.apiCall(data, (r) => this[r.response == 200 ? '_onSuccess' : '_onFailure'](r), (r) => this._onFailure({ error: 'Unable to execute request.' }));
+			let handle = Api.apiCall(data, (r) => this[r.response == 200 ? '_onSuccess' : '_onFailure'](r), (req, err) => this._onFailure(err instanceof WindError ? err.data : { error: 'Unable to execute request.', exception: err }), { busyScope: this.dataset.busyScope });
+
+			if (this.querySelector('[data-field][type=file]') !== null)
+				handle.onProgress((info) => this.dispatch('formProgress', info));
 		}
 		else
 			f(data, (r) => this[r.response == 200 ? '_onSuccess' : '_onFailure'](r));
@@ -18,6 +18,20 @@
 	<r-panel data-route="name">
 	</r-panel>
 
+	<r-panel data-route="users/:id" data-exclusive="users">
+	</r-panel>
+
+	<r-panel data-route="*path" data-fallback>
+	</r-panel>
+
+	<r-panel data-route="users/:id">
+		<r-panel data-route="./edit">
+		</r-panel>
+	</r-panel>
+
+	<r-panel data-route="reports" data-load="./screens/reports.js">
+	</r-panel>
+
 	r-panel {
 		display: block;
 	}
@@ -26,6 +40,10 @@
 		display: none;
 	}
 
+	r-panel.loading {
+		opacity: 0.5;
+	}
+
 */
 
 import Element from '../element.js';
@@ -52,6 +70,7 @@ export default Element.register ('r-panel',
 				return;
 
 			this.show(true);
+			Router.focus(this);
 		};
 
 		// Executed then the panel route is deactivated.
@@ -60,6 +79,23 @@ export default Element.register ('r-panel',
 			this.hide();
 		};
 
+		// Executed when the module of the panel route starts loading, the panel is shown in loading state.
+		this._onLoading = (evt, args) => this.classList.add('active', 'loading');
+
+		// Executed when the module of the panel route finishes loading, the panel stays visible only if the route gets activated.
+		this._onLoaded = (evt, args) =>
+		{
+			this.classList.remove('loading');
+			if (!this.route.active) this.classList.remove('active');
+		};
+
+		// Executed when the module of the panel route fails to load.
+		this._onRouteError = (evt, args) =>
+		{
+			this._onLoaded(evt, args);
+			this.dispatch('routeError', args);
+		};
+
 		this.hide();
 	},
 
@@ -70,7 +106,16 @@ export default Element.register ('r-panel',
 	{
 		if (this.dataset.route)
 		{
-			this.route = Router.addRoute (this.dataset.route, this._onActivate, this._onDeactivate);
+			this.route = Router.addRoute (this.getRoute(), this._onActivate, this._onDeactivate, {
+				exclusive: 'exclusive' in this.dataset ? this.dataset.exclusive || true : false,
+				fallback: 'fallback' in this.dataset,
+				parent: this.getParentRoute(),
+				load: this.dataset.load
+			});
+
+			this.route.addEventListener('loading', this._onLoading);
+			this.route.addEventListener('loaded', this._onLoaded);
+			this.route.addEventListener('routeError', this._onRouteError);
 			this.classList.remove('active');
 		}
 		else
@@ -82,8 +127,35 @@ export default Element.register ('r-panel',
 	*/
 	onDisconnected: function()
 	{
-		if (this.dataset.route)
-			Router.removeRoute(this.dataset.route, this._onActivate, this._onDeactivate);
+		if (!this.route) return;
+
+		Router.removeRoute(this.route.value, this._onActivate, this._onDeactivate);
+
+		this.route.removeEventListener('loading', this._onLoading);
+		this.route.removeEventListener('loaded', this._onLoaded);
+		this.route.removeEventListener('routeError', this._onRouteError);
+	},
+
+	/**
+	**	Returns the route expression of the closest parent panel with a route, or null if there is none.
+	*/
+	getParentRoute: function()
+	{
+		let parent = this.parentElement ? this.parentElement.closest('r-panel[data-route]') : null;
+		return parent ? parent.getRoute() : null;
+	},
+
+	/**
+	**	Returns the complete route expression of the panel. A relative route (starting with `./`) is appended to the route of the closest parent
+	**	panel with a route.
+	*/
+	getRoute: function()
+	{
+		let route = this.dataset.route;
+		if (!route || !route.startsWith('./')) return route;
+
+		let parent = this.getParentRoute();
+		return parent ? parent.replace(/\/+$/, '') + '/' + route.substr(2) : route.substr(2);
 	},
 
 	/**
@@ -103,11 +175,11 @@ export default Element.register ('r-panel',
 	{
 		if (this.dataset.route && !silent)
 		{
-			let hash = "#" + this.dataset.route;
+			let route = this.getRoute();
 
-			if (window.location.hash.substr(0, hash.length) != hash)
+			if (Router.location.substr(0, route.length) != route)
 			{
-				window.location = hash;
+				Router.navigate(route);
 				return;
 			}
 		}
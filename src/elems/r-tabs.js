@@ -61,12 +61,6 @@ export default Element.register ('r-tabs',
 	{
 		evt.continuePropagation = true;
 
-		if (this.dataset.baseRoute)
-		{
-			location = "#" + Router.realLocation(this.dataset.baseRoute.replace('@', evt.source.dataset.name));
-			return;
-		}
-
 		this.selectTab (evt.source.dataset.name);
 	},
 
@@ -81,9 +75,10 @@ export default Element.register ('r-tabs',
 			{
 				this.querySelectorAll("[href]").forEach(link =>
 				{
-					if (!link.href) return;
+					let location = link.getAttribute('href') ? Router.urlToLocation(link.getAttribute('href')) : null;
+					if (location === null) return;
 
-					if (Router.location.startsWith(link.href.substr(link.href.indexOf('#')+1)))
+					if (Router.location.startsWith(location))
 						link.classList.add('active');
 					else
 						link.classList.remove('active');
@@ -186,11 +181,11 @@ export default Element.register ('r-tabs',
 	{
 		if (this.dataset.baseRoute)
 		{
-			const hash = "#" + Router.realLocation(this.dataset.baseRoute.replace('@', name));
+			const location = Router.realLocation(this.dataset.baseRoute.replace('@', name));
 
-			if (location.hash != hash)
+			if (Router.location != location)
 			{
-				location = hash;
+				Router.navigate(location);
 				return;
 			}
 		}
@@ -22,6 +22,27 @@ import _Easing from './easing.js'; export const Easing = _Easing;
 import _Anim from './anim.js'; export const Anim = _Anim;
 import _Elements from './elements.js';
 import _Utils from './utils.js'; export const Utils = _Utils;
+import _Busy from './busy.js'; export const Busy = _Busy;
+import _WindMock from './wind-mock.js'; export const WindMock = _WindMock;
+
+import * as _ApiError from './api-error.js';
+export const ApiError = _ApiError.ApiError;
+export const ApiNetworkError = _ApiError.ApiNetworkError;
+export const ApiHttpError = _ApiError.ApiHttpError;
+export const ApiParseError = _ApiError.ApiParseError;
+export const ApiAbortError = _ApiError.ApiAbortError;
+export const ApiTimeoutError = _ApiError.ApiTimeoutError;
+export const WindError = _ApiError.WindError;
+export const WindPrivilegeError = _ApiError.WindPrivilegeError;
+export const WindNotFoundError = _ApiError.WindNotFoundError;
+export const WindValidationError = _ApiError.WindValidationError;
+export const WindAuthError = _ApiError.WindAuthError;
+export const WindCustomError = _ApiError.WindCustomError;
+
+import * as _ApiCache from './api-cache.js';
+export const MemoryCache = _ApiCache.MemoryCache;
+export const StorageCache = _ApiCache.StorageCache;
+export const IndexedDbCache = _ApiCache.IndexedDbCache;
 
 import * as _Rin from '@rsthn/rin';
 export const Rin = _Rin.Rin;
@@ -17,12 +17,15 @@
 import { EventDispatcher } from '@rsthn/rin';
 
 /*
-**	The Router is a special module that detects local URL changes (when a hash-change occurs) and
-**	forwards events to the appropriate handlers.
+**	The Router is a special module that detects local URL changes (when a hash-change occurs, or when the history changes in
+**	history mode) and forwards events to the appropriate handlers. The router dispatches the `beforeNavigate`, `notFound` and `navigated`
+**	events as well.
 */
 
-const _Router =
-{
+const Router = EventDispatcher.extend
+({
+	className: 'Router',
+
 	Route: EventDispatcher.extend
 	({
 		/*
@@ -41,6 +44,32 @@ const _Router =
 		*/
 		params: null,
 
+		/*
+		**	Type of each parameter (`int`, `number`, `rest` or null for strings), used to convert the values of the arguments.
+		*/
+		types: null,
+
+		/*
+		**	Rank of each segment of the route expression (static segments rank higher than parameters, and parameters higher than wildcards),
+		**	used to sort the routes by specificity.
+		*/
+		specificity: null,
+
+		/*
+		**	Name of the exclusive group of the route, only the most specific matching route of a group is activated.
+		*/
+		group: null,
+
+		/*
+		**	Indicates if the route is a fallback route, activated only when no other route (of its group, if any) matches the location.
+		*/
+		fallback: false,
+
+		/*
+		**	Expression of the parent route, when set the route is activated only while the parent route is active.
+		*/
+		parent: null,
+
 		/*
 		**	Arguments obtained from the current route (uses `params` to determine name of arguments).
 		*/
@@ -61,6 +90,41 @@ const _Router =
 		*/
 		changed: false,
 
+		/*
+		**	Navigation guards of the route, lists of functions in fields `enter` and `leave`.
+		*/
+		guards: null,
+
+		/*
+		**	Map of names to resolver functions, the values obtained from the resolvers are added to the arguments of the route.
+		*/
+		resolvers: null,
+
+		/*
+		**	Values obtained from the resolvers on the last activation of the route.
+		*/
+		resolved: null,
+
+		/*
+		**	Module loader of the route, either a function returning a promise (i.e. `() => import('./users.js')`) or the path of a module.
+		*/
+		loader: null,
+
+		/*
+		**	Promise of the module of the route, set when the loader is called for the first time. Cleared if the module fails to load.
+		*/
+		module: null,
+
+		/*
+		**	Indicates if the module of the route is being loaded.
+		*/
+		loading: false,
+
+		/*
+		**	Indicates if the module of the route has been loaded.
+		*/
+		loaded: false,
+
 		/*
 		**	Constructor of the route, the specified argument is a route expression.
 		**
@@ -70,32 +134,107 @@ const _Router =
 		{
 			this._super.EventDispatcher.__ctor();
 			this._compileRoute (this.value = route);
+
+			this.guards = { enter: [], leave: [] };
+			this.resolvers = { };
 		},
 
 		/*
 		**	Transforms the specified route expression into a regular expression and a set of parameter
-		**	names and stores them in the 'param' array.
+		**	names and stores them in the 'param' array. Parameters can have a type (`:id<int>`, `:price<number>`
+		**	or a regular expression such as `:slug<[a-z-]+>`), can be optional (`:page?`), and a catch-all
+		**	parameter (`*rest`) captures the rest of the location.
 		**
 		**	>> void _compileRoute (string route);
 		*/
 		_compileRoute: function (route)
 		{
 			this.params = [];
+			this.types = [];
+
+			this.specificity = route.replace(/##/g, '').split('/').filter(i => i != '').map(i =>
+			{
+				if (i[0] == '*') return 0;
+				if (i.indexOf(':') == -1) return 4;
+				if (/\?$/.test(i)) return 1;
+				return i.indexOf('<') != -1 ? 3 : 2;
+			});
 
 			route = route.replace(/\/\*\//g, '/.+/');
 
-			while (true)
+			route = route.replace(/(\/?):([!@A-Za-z0-9_-]+)(?:<([^>]+)>)?(\?)?|(\/?)\*([A-Za-z_][A-Za-z0-9_]*)/g, (m, slash, name, type, optional, rslash, rest) =>
 			{
-				var m = /:([!@A-Za-z0-9_-]+)/.exec(route);
-				if (!m) break;
-	
-				route = route.replace(m[0], '([^/]+)');
-				this.params.push (m[1]);
-			}
+				if (rest)
+				{
+					this.params.push (rest);
+					this.types.push ('rest');
+
+					return rslash ? '(?:/(.*))?' : '(.*)';
+				}
+
+				this.params.push (name);
+				this.types.push (type == 'int' || type == 'number' ? type : null);
+
+				var group = '([^/]+)';
+
+				if (type == 'int')
+					group = '(-?\\d+)(?=/|$)';
+				else if (type == 'number')
+					group = '(-?\\d+(?:\\.\\d+)?)(?=/|$)';
+				else if (type)
+					group = '(' + type.replace(/\((?!\?)/g, '(?:') + ')(?=/|$)';
+
+				if (!optional)
+					return slash + group;
+
+				return slash ? '(?:/' + group + ')?' : group + '?';
+			});
 
 			this.routeRegex = '^' + route.replace(/##/g, '');
 		},
 
+		/*
+		**	Matches the specified location (the query string is excluded) and returns an object with the arguments (`args`) and a string used to
+		**	detect changes (`str`), or null if the location does not match. The query string is parsed into `args.query`.
+		**
+		**	>> object _exec (string route);
+		*/
+		_exec: function (route)
+		{
+			var k = route.indexOf('?');
+			var matches = (k == -1 ? route : route.substr(0, k)).match(this.routeRegex);
+			if (!matches) return null;
+
+			var args = { route: this, query: { } };
+			var str = '';
+
+			for (var i = 0; i < this.params.length; i++)
+			{
+				var value = matches[i+1];
+
+				if (value !== undefined)
+				{
+					try { value = decodeURIComponent(value); } catch (e) { }
+
+					if (this.types[i] == 'int') value = parseInt(value);
+					else if (this.types[i] == 'number') value = parseFloat(value);
+				}
+
+				args[this.params[i]] = value;
+				str += '_' + matches[i+1];
+			}
+
+			if (k != -1)
+			{
+				for (var [name, value] of new URLSearchParams(route.substr(k+1)))
+					args.query[name] = name in args.query ? [].concat(args.query[name], value) : value;
+
+				str += '?' + route.substr(k+1);
+			}
+
+			return { args: args, str: str };
+		},
+
 		/*
 		**	Adds a handler to the route dispatcher. The handler can be removed later using removeHandler and
 		**	specifying the same parameters. If unrouted boolean is specified the event to listen to will be
@@ -118,18 +257,119 @@ const _Router =
 			this.removeEventListener ((unrouted === true ? 'un' : '') + 'routed', handler, null);
 		},
 
+		/*
+		**	Adds navigation guards and resolvers given an object with optional fields `beforeEnter`, `beforeLeave` and `resolve` (map of names
+		**	to resolver functions).
+		**
+		**	void addGuards (options: object);
+		*/
+		addGuards: function (options)
+		{
+			if (options.beforeEnter) this.guards.enter.push (options.beforeEnter);
+			if (options.beforeLeave) this.guards.leave.push (options.beforeLeave);
+
+			if (options.resolve) Object.assign (this.resolvers, options.resolve);
+		},
+
+		/*
+		**	Removes navigation guards and resolvers previously added with `addGuards`.
+		**
+		**	void removeGuards (options: object);
+		*/
+		removeGuards: function (options)
+		{
+			this.guards.enter = this.guards.enter.filter (i => i !== options.beforeEnter);
+			this.guards.leave = this.guards.leave.filter (i => i !== options.beforeLeave);
+
+			for (var i in options.resolve)
+			{
+				if (this.resolvers[i] === options.resolve[i])
+					delete this.resolvers[i];
+			}
+		},
+
+		/*
+		**	Loads the module of the route (only once) and returns a promise resolving to it. Dispatches the `loading` event when loading starts,
+		**	the `loaded` event when the module is loaded, and the `routeError` event if it fails to load.
+		**
+		**	Promise load ();
+		*/
+		load: function ()
+		{
+			if (!this.loader) return Promise.resolve(null);
+			if (this.module) return this.module;
+
+			var loader = this.loader;
+
+			if (typeof(loader) != 'function')
+			{
+				let path = loader;
+				if (globalThis.document && globalThis.document.baseURI)
+					path = new URL(path, globalThis.document.baseURI).href;
+
+				loader = () => import(path);
+			}
+
+			this.loading = true;
+			this.dispatchEvent ('loading', { route: this });
+
+			return this.module = Promise.resolve().then(loader).then(module =>
+			{
+				this.loading = false;
+				this.loaded = true;
+
+				this.dispatchEvent ('loaded', { route: this, module: module });
+				return module;
+			},
+			error =>
+			{
+				this.loading = false;
+				this.module = null;
+
+				this.dispatchEvent ('routeError', { route: this, error: error });
+				throw error;
+			});
+		},
+
+		/*
+		**	Returns the arguments obtained from the specified location (uses `params` to determine the name of the arguments), or null if the
+		**	location does not match the route.
+		**
+		**	object match (route:string);
+		*/
+		match: function (route)
+		{
+			var result = this._exec(route);
+			return result ? result.args : null;
+		},
+
+		/*
+		**	Returns true if activating the route with the specified location would change its arguments (or activate it).
+		**
+		**	bool willChange (route:string);
+		*/
+		willChange: function (route)
+		{
+			var result = this._exec(route);
+			if (!result) return false;
+
+			return !this.active || result.str != this.s_args;
+		},
+
 		/*
 		**	Verifies if the specified route matches the internal route and if so dispatches a (depends on doUnroute parameter) "routed" or "unrouted" event with the
-		**	parameters obtained from the location to all attached handlers.
+		**	parameters obtained from the location to all attached handlers. The optional `resolved` object contains the values obtained from the
+		**	resolvers, which are added to the arguments. When `route` is null the route is deactivated.
 		**
-		**	void dispatch (route:string, doUnroute:bool);
+		**	void dispatch (route:string, resolved:object);
 		*/
-		dispatch: function (route)
+		dispatch: function (route, resolved=null)
 		{
-			var matches = route.match(this.routeRegex);
-			if (!matches)
+			var result = route === null ? null : this._exec(route);
+			if (!result)
 			{
 				this.s_args = null;
+				this.resolved = null;
 
 				if (this.active)
 					this.dispatchEvent ('unrouted', { route: this });
@@ -138,18 +378,15 @@ const _Router =
 				return;
 			}
 
-			var args = { route: this };
-			var str = '';
-
-			for (var i = 0; i < this.params.length; i++)
-			{
-				args[this.params[i]] = matches[i+1];
-				str += '_' + matches[i+1];
-			}
+			var args = result.args;
+			var str = result.str;
 
 			this.changed = str != this.s_args;
 			this.s_args = str;
 
+			if (resolved) this.resolved = resolved;
+			if (this.resolved) Object.assign (args, this.resolved);
+
 			this.dispatchEvent ('routed', this.args = args);
 			this.active = true;
 		}
@@ -158,13 +395,24 @@ const _Router =
 	/*
 	**	Map with route objects. The key of the map is the route and the value a handler.
 	*/
-	routes: { },
+	routes: null,
+
+	/*
+	**	Map of route names to route expressions. Names are used to generate locations with `url`.
+	*/
+	names: null,
 
 	/*
-	**	Sorted list of routes. Smaller routes are processed first than larger ones. This array stores
+	**	Sorted list of routes. Less specific routes are processed first than more specific ones (see `compareRoutes`). This array stores
 	**	only the keys to the Router.routes map.
 	*/
-	sortedRoutes: [ ],
+	sortedRoutes: null,
+
+	/*
+	**	Locations visited in the current session (in-memory history stack), and index of the current location in the stack.
+	*/
+	historyStack: null,
+	historyIndex: -1,
 
 	/*
 	**	Indicates the number of times the onLocationChanged handler should ignore the hash change event.
@@ -172,140 +420,620 @@ const _Router =
 	ignoreHashChangeEvent: 0,
 
 	/*
-	**	Current relative location (everything after the location hash symbol).
+	**	Identifier of the last navigation, used to discard navigations superseded while their guards or resolvers are pending.
+	*/
+	_navigationId: 0,
+
+	/*
+	**	Current relative location (everything after the location hash symbol, or everything after the base path in history mode).
 	*/
 	location: '',
 
 	/*
-	**	Current relative location as an array of elements (obtained by splitting the location by slash).
+	**	Routing mode: `hash` (locations are stored in the hash of the URL), `history` (locations are URL paths relative to `base`) or `memory`
+	**	(locations are stored only in memory, the URL of the page is not used).
 	*/
-	args: [],
+	mode: 'hash',
 
 	/*
-	**	Initializes the router module. Ensure to call `refresh` once to force a hashchange when the page loads.
+	**	Base path of the application in history mode (i.e. `/app`).
 	*/
-	init: function ()
-	{
-		if (this.alreadyAttached)
-			return;
+	base: '',
 
-		this.alreadyAttached = true;
+	/*
+	**	Indicates if the scroll position is saved per location and restored when returning to it using back/forward, new navigations scroll
+	**	to the top of the page.
+	*/
+	scrollRestoration: true,
 
-		if ('onhashchange' in globalThis)
-			globalThis.onhashchange = this.onLocationChanged.bind(this);
-	},
+	/*
+	**	Indicates if the focus is moved to the element requested with `focus` (i.e. the panel shown) after each navigation.
+	*/
+	focusManagement: true,
 
 	/*
-	**	Refreshes the current route by forcing a hashchange event.
+	**	Map of locations to their last scroll positions.
 	*/
-	refresh: function ()
-	{
-		this.onLocationChanged();
-	},
+	_scrollPositions: null,
 
 	/*
-	**	Changes the current location and optionally prevents a trigger of the hashchange event.
+	**	Location written by the last call to `_writeLocation`, used to detect navigations that replace the current history entry.
 	*/
-	setRoute: function (route, silent)
+	_pushedLocation: null,
+
+	/*
+	**	Indicates if the last call to `_writeLocation` replaced the current history entry.
+	*/
+	_pushedReplace: false,
+
+	/*
+	**	Replace flag of the navigation being redirected by a guard, the redirection replaces the history entry of the original navigation so
+	**	for the history stack it behaves like the original one.
+	*/
+	_redirectReplace: null,
+
+	/*
+	**	Element requested to receive the focus when the current navigation completes.
+	*/
+	_focusTarget: null,
+
+	/*
+	**	Number of navigations completed, the scroll position and the focus are not changed on the first one.
+	*/
+	_navigations: 0,
+
+	/*
+	**	Element where clicks on links are intercepted in memory mode, links are not intercepted when not set (so that the links of the host page
+	**	are left alone).
+	*/
+	root: null,
+
+	/*
+	**	Current location in memory mode.
+	*/
+	_memoryLocation: '',
+
+	/*
+	**	History entry index of the pending back/forward navigation in memory mode.
+	*/
+	_memoryEntry: null,
+
+	/*
+	**	Key identifying the history entries tagged by this page load (see `_writeEntry`).
+	*/
+	_historyKey: null,
+
+	/*
+	**	Event handlers attached to the global objects by `init`.
+	*/
+	_listeners: null,
+
+	/*
+	**	Current relative location as an array of elements (obtained by splitting the location by slash).
+	*/
+	args: [],
+
+	__ctor: function ()
 	{
-		var location = this.realLocation (route);
-		if (location == this.location) return;
+		this._super.EventDispatcher.__ctor();
 
-		if (silent) this.ignoreHashChangeEvent++;
-		globalThis.location.hash = location;
+		this.routes = { };
+		this.names = { };
+		this.sortedRoutes = [ ];
+		this.historyStack = [ ];
+		this._scrollPositions = { };
+
+		this._historyKey = Date.now().toString(36) + Math.random().toString(36).substr(2);
 	},
 
 	/*
-	**	Adds the specified route to the routing map. When the specified route is detected, the `onRoute` handler will be called, and then
-	**	when the route exits `onUnroute` will be called.
+	**	Initializes the router module. Ensure to call `refresh` once to force a hashchange when the page loads. The optional `config` can
+	**	specify the `mode`, the `base` path, `scrollRestoration` and `focusManagement`, and in memory mode the initial `location` and the
+	**	`root` element, in which case the router is initialized again with the new configuration. When there is no browser environment
+	**	(i.e. in Node) hash mode falls back to memory mode.
 	*/
-	addRoute: function (route, onRoute, onUnroute)
+	init: function (config=null)
 	{
-		if (!this.routes[route])
+		if (this.alreadyAttached && !config)
+			return;
+
+		if (config)
 		{
-			this.routes[route] = new this.Route (route);
-			this.sortedRoutes.push (route);
+			if (config.mode) this.mode = config.mode;
+			if (config.base !== undefined) this.base = config.base.replace(/\/+$/, '');
+			if (config.scrollRestoration !== undefined) this.scrollRestoration = !!config.scrollRestoration;
+			if (config.focusManagement !== undefined) this.focusManagement = !!config.focusManagement;
+			if (config.location !== undefined) this._memoryLocation = config.location;
+			if (config.root !== undefined) this.root = config.root;
+		}
 
-			this.sortedRoutes.sort ((a, b) => {
-				return this.routes[a].routeRegex.length - this.routes[b].routeRegex.length;
-			});
+		this._detach();
+		this.alreadyAttached = true;
+
+		if (this.mode == 'hash' && !('onhashchange' in globalThis))
+			this.mode = 'memory';
+
+		if (this.mode == 'memory')
+		{
+			let root = this.root;
+			if (!root) return;
+
+			this._listeners = {
+				root: root,
+				click: (evt) => this._onLinkClicked(evt)
+			};
+
+			root.addEventListener('click', this._listeners.click);
+			return;
 		}
 
-		if (onUnroute !== undefined)
+		if (this.mode == 'history')
 		{
-			this.routes[route].addHandler (onRoute, false);
-			this.routes[route].addHandler (onUnroute, true);
+			if (!('onpopstate' in globalThis))
+				return;
+
+			this._listeners = {
+				root: globalThis.document,
+				popstate: () => this.onLocationChanged(true),
+				click: (evt) => this._onLinkClicked(evt)
+			};
+
+			globalThis.addEventListener('popstate', this._listeners.popstate);
+			globalThis.document.addEventListener('click', this._listeners.click);
+
+			if (this.scrollRestoration && 'scrollRestoration' in globalThis.history)
+				globalThis.history.scrollRestoration = 'manual';
 		}
 		else
-			this.routes[route].addHandler (onRoute, false);
+		{
+			if (!('onhashchange' in globalThis))
+				return;
 
-		return this.routes[route];
+			this._listeners = {
+				root: globalThis.document,
+				hashchange: () => this.onLocationChanged(true),
+				click: (evt) => this._onLinkClicked(evt)
+			};
+
+			globalThis.addEventListener('hashchange', this._listeners.hashchange);
+			globalThis.document.addEventListener('click', this._listeners.click);
+		}
 	},
 
 	/*
-	**	Adds the specified routes to the routing map. The routes map should contain the route expression
-	**	in the key of the map and a handler function in the value.
+	**	Removes the event handlers attached by `init`.
 	*/
-	addRoutes: function (routes)
+	_detach: function ()
 	{
-		for (var i in routes)
-		{
-			if (!this.routes[i])
-			{
-				this.routes[i] = new this.Route (i);
-				this.sortedRoutes.push (i);
-			}
+		if (!this._listeners) return;
 
-			this.routes[i].addHandler (routes[i], false);
-		}
+		if (this._listeners.hashchange) globalThis.removeEventListener('hashchange', this._listeners.hashchange);
+		if (this._listeners.popstate) globalThis.removeEventListener('popstate', this._listeners.popstate);
+		if (this._listeners.click) this._listeners.root.removeEventListener('click', this._listeners.click);
 
-		this.sortedRoutes.sort ((a, b) => {
-			return this.routes[a].routeRegex.length - this.routes[b].routeRegex.length;
-		});
+		this._listeners = null;
 	},
 
 	/*
-	**	Removes the specified route from the routing map.
+	**	Returns the current relative location from the URL of the page (or from memory in memory mode).
 	*/
-	removeRoute: function (route, onRoute, onUnroute)
+	_readLocation: function ()
 	{
-		if (!this.routes[route]) return;
+		if (this.mode == 'memory')
+			return this._memoryLocation;
 
-		if (onUnroute !== undefined)
-		{
-			this.routes[route].removeHandler (onRoute, false);
-			this.routes[route].removeHandler (onUnroute, true);
-		}
-		else
-			this.routes[route].removeHandler (onRoute);
-	},
+		if (this.mode != 'history')
+			return globalThis.location.hash.substr(1);
 
-	/*
-	**	Removes the specified routes from the routing map. The routes map should contain the route
-	**	expression in the key of the map and a handler function in the value.
-	*/
-	removeRoutes: function (routes)
-	{
-		for (var i in routes)
+		let path = globalThis.location.pathname;
+
+		if (this.base)
 		{
-			if (!this.routes[i]) continue;
+			if (path != this.base && !path.startsWith(this.base + '/'))
+				return '';
 
-			this.routes[i].removeHandler (routes[i]);
+			path = path.substr(this.base.length);
 		}
+
+		return path.replace(/^\//, '') + globalThis.location.search;
 	},
 
 	/*
-	**	Given a formatted location and a previous one it will return the correct real location.
+	**	Changes the URL of the page to the given relative location. In history and memory modes the location change is processed immediately
+	**	(unless silent), since the browser does not fire any event when the history is changed by script.
 	*/
-	realLocation: function (cLocation, pLocation)
+	_writeLocation: function (location, replace=false, silent=false)
 	{
-		if (!pLocation) pLocation = this.location;
-		if (!pLocation) pLocation = ' ';
+		if (!silent)
+		{
+			this._pushedLocation = location;
+			this._pushedReplace = this._redirectReplace !== null ? this._redirectReplace : replace;
+		}
 
-		var state = 0, i = 0, j = 0, k;
-		var rLocation = '';
+		this._redirectReplace = null;
 
-		while (state != -1 && i < cLocation.length && j < pLocation.length)
+		if (this.mode == 'hash')
+		{
+			if (silent) this.ignoreHashChangeEvent++;
+
+			if (replace)
+				globalThis.location.replace('#' + location);
+			else
+				globalThis.location.hash = location;
+
+			return;
+		}
+
+		if (this.mode == 'history')
+			globalThis.history[replace ? 'replaceState' : 'pushState'](null, '', this.locationToUrl(location));
+		else
+			this._memoryLocation = location;
+
+		if (silent)
+		{
+			this.location = location;
+			this.args = location.split('/');
+			return;
+		}
+
+		this.onLocationChanged();
+	},
+
+	/*
+	**	Returns the URL (suitable for `href` attributes) of the given relative location.
+	*/
+	locationToUrl: function (location)
+	{
+		return this.mode == 'history' ? this.base + '/' + location : '#' + location;
+	},
+
+	/*
+	**	Returns the relative location of the given URL, or `null` if the URL does not refer to a location of the application. URLs having only
+	**	a hash (i.e. `#users/1`) are considered relative locations in all modes, and they are the only ones in memory mode.
+	*/
+	urlToLocation: function (url)
+	{
+		if (url[0] == '#')
+			return url.substr(1);
+
+		if (this.mode == 'memory')
+			return null;
+
+		url = new URL(url, globalThis.location.href);
+
+		if (url.origin != globalThis.location.origin)
+			return null;
+
+		if (this.mode != 'history')
+			return url.pathname == globalThis.location.pathname && url.search == globalThis.location.search && url.hash ? url.hash.substr(1) : null;
+
+		if (this.base && url.pathname != this.base && !url.pathname.startsWith(this.base + '/'))
+			return null;
+
+		return url.pathname.substr(this.base.length).replace(/^\//, '') + url.search;
+	},
+
+	/*
+	**	Handles clicks on elements with a `data-route-name` attribute (in any mode) and on links (in history and memory modes), links to locations
+	**	of the application are followed using `navigate`. Clicks with modifier keys and links with a `target`, `download` or `rel="external"` attribute
+	**	are ignored.
+	*/
+	_onLinkClicked: function (evt)
+	{
+		if (evt.defaultPrevented || evt.button !== 0 || evt.metaKey || evt.ctrlKey || evt.shiftKey || evt.altKey)
+			return;
+
+		let link = evt.target && evt.target.closest ? evt.target.closest('a[href], [data-route-name]') : null;
+		if (!link) return;
+
+		if (link.dataset.routeName)
+		{
+			if (link.target && link.target != '_self')
+				return;
+
+			evt.preventDefault();
+			this.navigate(this.url(link.dataset.routeName, this._linkParams(link)));
+			return;
+		}
+
+		if (this.mode == 'hash')
+			return;
+
+		if ((link.target && link.target != '_self') || link.hasAttribute('download') || link.getAttribute('rel') == 'external')
+			return;
+
+		let location = this.urlToLocation(link.getAttribute('href'));
+		if (location === null) return;
+
+		evt.preventDefault();
+		this.navigate(location);
+	},
+
+	/*
+	**	Refreshes the current route by forcing a hashchange event.
+	*/
+	refresh: function ()
+	{
+		this.onLocationChanged();
+	},
+
+	/*
+	**	Changes the current location and optionally prevents a trigger of the hashchange event.
+	*/
+	setRoute: function (route, silent)
+	{
+		var location = this.realLocation (route);
+		if (location == this.location) return;
+
+		this._writeLocation (location, false, silent);
+	},
+
+	/*
+	**	Adds the specified route to the routing map. When the specified route is detected, the `onRoute` handler will be called, and then
+	**	when the route exits `onUnroute` will be called. The optional `options` can have navigation guards (`beforeEnter` and `beforeLeave`)
+	**	and resolvers (`resolve`), see `Route.addGuards`, the `name` of the route, the `exclusive` group and `fallback` flag, the expression of
+	**	the `parent` route, and a module loader (`load`), see `Route.load`.
+	*/
+	addRoute: function (route, onRoute, onUnroute, options=null)
+	{
+		if (!this.routes[route])
+		{
+			this.routes[route] = new this.Route (route);
+			this.sortedRoutes.push (route);
+			this._sortRoutes();
+		}
+
+		if (onUnroute !== undefined && onUnroute !== null)
+		{
+			this.routes[route].addHandler (onRoute, false);
+			this.routes[route].addHandler (onUnroute, true);
+		}
+		else
+			this.routes[route].addHandler (onRoute, false);
+
+		if (options)
+		{
+			this.routes[route].addGuards (options);
+			if (options.name) this.names[options.name] = route;
+
+			if (options.exclusive) this.routes[route].group = options.exclusive === true ? 'default' : options.exclusive;
+			if (options.fallback) this.routes[route].fallback = true;
+			if (options.parent) this.routes[route].parent = options.parent;
+			if (options.load) this.routes[route].loader = options.load;
+		}
+
+		return this.routes[route];
+	},
+
+	/*
+	**	Defines route names given a map of names to route expressions (i.e. `{ 'user.edit': 'users/:id<int>/edit' }`), the routes do not need
+	**	to be added to the routing map.
+	*/
+	define: function (names)
+	{
+		Object.assign(this.names, names);
+	},
+
+	/*
+	**	Returns the location of the route with the given name. The parameters of the route are replaced with the respective (URL-encoded)
+	**	values from `params`, and the remaining values are added to the query string. Throws an error if the name is not defined or if a
+	**	required parameter is missing.
+	*/
+	url: function (name, params=null)
+	{
+		if (!(name in this.names))
+			throw new Error('Route name not defined: ' + name);
+
+		params = { ...params };
+
+		var location = this.names[name].replace(/(\/?):([!@A-Za-z0-9_-]+)(?:<([^>]+)>)?(\?)?|(\/?)\*([A-Za-z_][A-Za-z0-9_]*)/g, (m, slash, param, type, optional, rslash, rest) =>
+		{
+			if (rest)
+			{
+				param = rest;
+				slash = rslash;
+				optional = true;
+			}
+
+			var value = params[param];
+			delete params[param];
+
+			if (value === undefined || value === null || value === '')
+			{
+				if (!optional) throw new Error('Missing route parameter: ' + param);
+				return '';
+			}
+
+			return slash + (rest ? String(value).split('/').map(encodeURIComponent).join('/') : encodeURIComponent(value));
+		});
+
+		location = location.replace(/##/g, '');
+
+		var query = { ...params.query };
+		delete params.query;
+
+		query = Object.entries({ ...params, ...query }).reduce((list, [name, value]) =>
+		{
+			if (value === undefined || value === null) return list;
+
+			for (let i of [].concat(value))
+				list.push(encodeURIComponent(name) + '=' + encodeURIComponent(i));
+
+			return list;
+		},
+		[]).join('&');
+
+		return query ? location + '?' + query : location;
+	},
+
+	/*
+	**	Returns the route parameters of a link with `data-route-name`, obtained from its `data-route-params` attribute (a query string or a JSON
+	**	object).
+	*/
+	_linkParams: function (link)
+	{
+		var value = (link.dataset.routeParams || '').trim();
+		if (value[0] == '{') return JSON.parse(value);
+
+		var params = { };
+
+		for (var [name, value] of new URLSearchParams(value))
+			params[name] = value;
+
+		return params;
+	},
+
+	/*
+	**	Sets the `href` attribute of the links with a `data-route-name` attribute found in the given root element (or the document).
+	*/
+	updateLinks: function (root=null)
+	{
+		(root || globalThis.document).querySelectorAll('a[data-route-name]').forEach(link =>
+			link.setAttribute('href', this.locationToUrl(this.url(link.dataset.routeName, this._linkParams(link))))
+		);
+	},
+
+	/*
+	**	Adds the specified routes to the routing map. The routes map should contain the route expression
+	**	in the key of the map and a handler function in the value.
+	*/
+	addRoutes: function (routes)
+	{
+		for (var i in routes)
+		{
+			if (!this.routes[i])
+			{
+				this.routes[i] = new this.Route (i);
+				this.sortedRoutes.push (i);
+			}
+
+			this.routes[i].addHandler (routes[i], false);
+		}
+
+		this._sortRoutes();
+	},
+
+	/*
+	**	Compares the specificity of two routes segment by segment, returns a positive number if route `a` is more specific than `b`, a negative
+	**	number if it is less specific, or zero if both are equally specific. When one route is a prefix of the other the longer one is more
+	**	specific.
+	*/
+	compareRoutes: function (a, b)
+	{
+		var n = Math.max(a.specificity.length, b.specificity.length);
+
+		for (var i = 0; i < n; i++)
+		{
+			var x = i < a.specificity.length ? a.specificity[i] : -1;
+			var y = i < b.specificity.length ? b.specificity[i] : -1;
+
+			if (x != y) return x - y;
+		}
+
+		return 0;
+	},
+
+	/*
+	**	Sorts the list of routes by specificity.
+	*/
+	_sortRoutes: function ()
+	{
+		this.sortedRoutes.sort ((a, b) => this.compareRoutes(this.routes[a], this.routes[b]));
+	},
+
+	/*
+	**	Returns the set of routes (from the given sorted list) to activate for the specified location. Routes without a group are activated when
+	**	they match, from each exclusive group only the most specific matching route is activated (the first added wins a tie), and routes with
+	**	a parent are activated only if the parent is active. Fallback routes are activated when no other route with the same parent (and of
+	**	the same group, if they have one) is active.
+	*/
+	_matching: function (routes, location)
+	{
+		var active = new Set();
+		var best = { };
+
+		for (let route of routes)
+		{
+			if (route.fallback || !route._exec(location))
+				continue;
+
+			if (route.group === null)
+				active.add(route);
+			else if (!best[route.group] || this.compareRoutes(route, best[route.group]) > 0)
+				best[route.group] = route;
+		}
+
+		for (let group in best)
+			active.add(best[group]);
+
+		for (let route of routes)
+		{
+			if (route.parent !== null && active.has(route) && !active.has(this.routes[route.parent]))
+				active.delete(route);
+		}
+
+		var matched = [...active];
+
+		for (let route of routes)
+		{
+			if (!route.fallback || (route.parent !== null && !active.has(this.routes[route.parent])))
+				continue;
+
+			if (matched.some(i => i.parent === route.parent && (route.group === null || i.group === route.group)))
+				continue;
+
+			if (route._exec(location))
+				active.add(route);
+		}
+
+		return active;
+	},
+
+	/*
+	**	Removes the specified route from the routing map.
+	*/
+	removeRoute: function (route, onRoute, onUnroute, options=null)
+	{
+		if (!this.routes[route]) return;
+
+		if (options)
+			this.routes[route].removeGuards (options);
+
+		if (onUnroute !== undefined && onUnroute !== null)
+		{
+			this.routes[route].removeHandler (onRoute, false);
+			this.routes[route].removeHandler (onUnroute, true);
+		}
+		else
+			this.routes[route].removeHandler (onRoute);
+	},
+
+	/*
+	**	Removes the specified routes from the routing map. The routes map should contain the route
+	**	expression in the key of the map and a handler function in the value.
+	*/
+	removeRoutes: function (routes)
+	{
+		for (var i in routes)
+		{
+			if (!this.routes[i]) continue;
+
+			this.routes[i].removeHandler (routes[i]);
+		}
+	},
+
+	/*
+	**	Given a formatted location and a previous one it will return the correct real location.
+	*/
+	realLocation: function (cLocation, pLocation)
+	{
+		if (!pLocation) pLocation = this.location;
+		if (!pLocation) pLocation = ' ';
+
+		var state = 0, i = 0, j = 0, k;
+		var rLocation = '';
+
+		while (state != -1 && i < cLocation.length && j < pLocation.length)
 		{
 			switch (state)
 			{
@@ -376,52 +1104,442 @@ const _Router =
 	},
 
 	/*
-	**	Event handler called when the location hash changes.
+	**	Event handler called when the location hash (or the history in history mode) changes, `changed` is true when called by the event of
+	**	the browser.
 	*/
-	onLocationChanged: function ()
+	onLocationChanged: function (changed=false)
 	{
-		var cLocation = location.hash.substr(1);
+		var cLocation = this._readLocation();
 		var rLocation = this.realLocation (cLocation);
 
 		if (cLocation != rLocation)
 		{
-			globalThis.location.replace('#' + rLocation);
+			this._writeLocation (rLocation, true);
 			return;
 		}
 
-		this.location = cLocation;
-		this.args = this.location.split ('/');
-
 		if (this.ignoreHashChangeEvent > 0)
 		{
+			this.location = cLocation;
+			this.args = this.location.split ('/');
+
 			this.ignoreHashChangeEvent--;
 			return;
 		}
 
-		for (var i = 0; i < this.sortedRoutes.length; i++)
-			this.routes[this.sortedRoutes[i]].dispatch (this.location);
+		var entry = this._readEntry();
+		var replace = entry === null && cLocation === this._pushedLocation && this._pushedReplace;
+		var pushed = entry === null && !replace && (changed || cLocation === this._pushedLocation);
+
+		this._pushedLocation = null;
+		this._pushedReplace = false;
+
+		if (this.scrollRestoration && cLocation != this.location)
+		{
+			var position = this._getScroll();
+			if (position) this._scrollPositions[this.location] = position;
+		}
+
+		this._transition (this.location, cLocation, entry, replace, pushed);
+	},
+
+	/*
+	**	Runs the given functions in order until one returns (or resolves to) something other than `undefined` or `true`, and then invokes
+	**	the callback with that value (or with `undefined` if all of them completed). Runs synchronously unless a function returns a promise.
+	**	Errors are passed to the callback as well.
+	*/
+	_sequence: function (list, callback)
+	{
+		var i = 0;
+
+		const next = (value) =>
+		{
+			while (true)
+			{
+				if (value !== undefined && value !== true)
+					return callback(value);
+
+				if (i >= list.length)
+					return callback(undefined);
+
+				try {
+					value = list[i++]();
+				}
+				catch (e) {
+					return callback(e instanceof Error ? e : new Error(e));
+				}
+
+				if (value && typeof(value.then) == 'function')
+				{
+					value.then(next, e => callback(e instanceof Error ? e : new Error(e)));
+					return;
+				}
+			}
+		};
+
+		next(undefined);
+	},
+
+	/*
+	**	Loads the modules of the given routes that have not been loaded yet and invokes the callback when done, or with an error if a module
+	**	fails to load. Runs synchronously if there is nothing to load.
+	*/
+	_load: function (routes, callback)
+	{
+		var pending = routes.filter(route => route.loader && !route.loaded);
+
+		if (!pending.length)
+		{
+			callback(null);
+			return;
+		}
+
+		Promise.all(pending.map(route => route.load())).then(() => callback(null), e => callback(e));
+	},
+
+	/*
+	**	Runs the resolvers of the given routes and invokes the callback with a map of routes to resolved values, or with an error as second
+	**	parameter if a resolver fails. Runs synchronously unless a resolver returns a promise.
+	*/
+	_resolve: function (routes, location, callback)
+	{
+		var data = new Map();
+		var pending = [];
+
+		try {
+			for (let route of routes)
+			{
+				let args = route.match(location);
+				let values = { };
+
+				data.set(route, values);
+
+				for (let name in route.resolvers)
+				{
+					let value = route.resolvers[name](args);
+
+					if (value && typeof(value.then) == 'function')
+						pending.push(value.then(value => { values[name] = value; }));
+					else
+						values[name] = value;
+				}
+			}
+		}
+		catch (e) {
+			callback(null, e);
+			return;
+		}
+
+		if (!pending.length)
+		{
+			callback(data, null);
+			return;
+		}
+
+		Promise.all(pending).then(() => callback(data, null), e => callback(null, e));
+	},
+
+	/*
+	**	Changes the current location from `from` to `to`. The `beforeLeave` guards of the routes being deactivated and the `beforeEnter` guards of
+	**	the routes being activated are run first, a guard can return false to cancel the navigation (the previous location is restored), a
+	**	location to redirect to, or a promise resolving to any of these. Then the modules and the resolvers of the routes being activated are
+	**	loaded and run, and finally the routes are dispatched and the scroll position and focus are updated (see `_updateView`). The `entry`
+	**	is the history entry of a back/forward navigation (see `_readEntry`), `replace` indicates a navigation that replaced the current
+	**	history entry and `pushed` one that added a new entry.
+	**
+	**	The `beforeNavigate` event is dispatched first (a handler can set the `cancel` field of the arguments to true to cancel the navigation),
+	**	then `notFound` if no route other than fallback routes matches, and `navigated` when the navigation completes. The arguments of the
+	**	events have fields `from`, `to` and `routes` (list of routes to activate).
+	*/
+	_transition: function (from, to, entry=null, replace=false, pushed=false)
+	{
+		var traversal = entry !== null;
+		var id = ++this._navigationId;
+		var routes = this.sortedRoutes.map(i => this.routes[i]);
+		var active = this._matching(routes, to);
+
+		var info = { from: from, to: to, routes: routes.filter(route => active.has(route)) };
+
+		var args = { ...info, traversal: traversal, cancel: false };
+		this.dispatchEvent ('beforeNavigate', args);
+
+		if (args.cancel)
+		{
+			this._rollback(from, entry, pushed);
+			return;
+		}
+
+		var leaving = routes.filter(route => route.active && !active.has(route));
+		var entering = routes.filter(route => active.has(route) && route.willChange(to));
+
+		var guards = [];
+
+		leaving.forEach(route => route.guards.leave.forEach(fn => guards.push(() => fn({ from: from, to: to, route: route, args: route.args }))));
+		entering.forEach(route => route.guards.enter.forEach(fn => guards.push(() => fn({ from: from, to: to, route: route, args: route.match(to) }))));
+
+		this._sequence(guards, (result) =>
+		{
+			if (id != this._navigationId)
+				return;
+
+			if (result === false || result instanceof Error)
+			{
+				this._rollback(from, entry, pushed);
+				if (result instanceof Error) setTimeout(() => { throw result; }, 0);
+				return;
+			}
+
+			if (typeof(result) == 'string')
+			{
+				this._redirectReplace = replace;
+				this.navigate(result, true);
+				return;
+			}
+
+			this._load(entering, (err) =>
+			{
+				if (id != this._navigationId)
+					return;
+
+				if (err)
+				{
+					this._rollback(from, entry, pushed);
+					return;
+				}
+
+				this._resolve(entering, to, (data, err) =>
+				{
+					if (id != this._navigationId)
+						return;
+
+					if (err)
+					{
+						this._rollback(from, entry, pushed);
+						setTimeout(() => { throw err; }, 0);
+						return;
+					}
+
+					this.location = to;
+					this.args = this.location.split ('/');
+
+					this._updateHistory (from, to, entry, replace);
+					this._writeEntry (this.historyIndex);
+					this._focusTarget = null;
+
+					if (!info.routes.some(route => !route.fallback))
+						this.dispatchEvent ('notFound', info);
+
+					for (var i = 0; i < routes.length; i++)
+						routes[i].dispatch (active.has(routes[i]) ? this.location : null, data.get(routes[i]));
+
+					this._updateView (from, to, traversal);
+					this.dispatchEvent ('navigated', info);
+				});
+			});
+		});
+	},
+
+	/*
+	**	Updates the in-memory history stack after a navigation from `from` to `to`. Back/forward navigations move the current index to the
+	**	index of their history `entry`, other navigations push the location (dropping the forward entries) or replace the current entry.
+	*/
+	_updateHistory: function (from, to, entry, replace)
+	{
+		var stack = this.historyStack;
+		var index = this.historyIndex;
+
+		if (entry !== null && entry >= 0 && entry < stack.length)
+		{
+			this.historyIndex = entry;
+			stack[entry] = to;
+			return;
+		}
+
+		if (index != -1 && from == to)
+			return;
+
+		if (replace && index != -1)
+		{
+			stack[index] = to;
+			return;
+		}
+
+		stack.splice(index+1, stack.length, to);
+		this.historyIndex = stack.length-1;
+	},
+
+	/*
+	**	Returns the index in the history stack of the current history entry, -1 if the entry was tagged by a previous page load, or null if
+	**	the entry is new (has not been tagged yet). Entries are tagged once visited, so a tagged entry indicates a back/forward navigation.
+	*/
+	_readEntry: function ()
+	{
+		if (this.mode == 'memory')
+		{
+			var entry = this._memoryEntry;
+			this._memoryEntry = null;
+			return entry;
+		}
+
+		var state = globalThis.history ? globalThis.history.state : null;
+		if (!state || state.routerIndex === undefined) return null;
+
+		return state.routerKey === this._historyKey ? state.routerIndex : -1;
+	},
+
+	/*
+	**	Tags the current history entry with the given index of the history stack (stored in `history.state`, which works in hash mode too).
+	*/
+	_writeEntry: function (index)
+	{
+		if (this.mode == 'memory' || !globalThis.history || !globalThis.history.replaceState)
+			return;
+
+		globalThis.history.replaceState({ ...globalThis.history.state, routerKey: this._historyKey, routerIndex: index }, '');
+	},
+
+	/*
+	**	Returns true if there is a previous location in the in-memory history stack.
+	*/
+	canGoBack: function ()
+	{
+		return this.historyIndex > 0;
+	},
+
+	/*
+	**	Navigates to the previous location in the history stack (using the history of the browser, except in memory mode). Does nothing if
+	**	`canGoBack` is false.
+	*/
+	back: function ()
+	{
+		if (!this.canGoBack()) return;
+
+		if (this.mode != 'memory')
+		{
+			globalThis.history.back();
+			return;
+		}
+
+		this._memoryLocation = this.historyStack[this.historyIndex-1];
+		this._memoryEntry = this.historyIndex-1;
+		this.onLocationChanged();
+	},
+
+	/*
+	**	Requests the focus to be moved to the given element when the current navigation completes (the last request wins). The focus is moved
+	**	to the first descendant with an `autofocus` attribute, or to the first heading, or to the element itself.
+	*/
+	focus: function (elem)
+	{
+		this._focusTarget = elem;
+	},
+
+	/*
+	**	Updates the scroll position and the focus after a navigation from `from` to `to` completes. Back/forward navigations restore the saved
+	**	scroll position of the location, and new navigations scroll to the top of the page.
+	*/
+	_updateView: function (from, to, traversal)
+	{
+		var target = this._focusTarget;
+		this._focusTarget = null;
+
+		if (this._navigations++ == 0 || from == to)
+			return;
+
+		if (this.focusManagement && target)
+		{
+			var elem = target.querySelector('[autofocus]') || target.querySelector('h1, h2, h3, h4, h5, h6') || target;
+
+			if (!elem.hasAttribute('tabindex') && elem.tabIndex < 0)
+				elem.setAttribute('tabindex', '-1');
+
+			elem.focus({ preventScroll: true });
+		}
+
+		if (this.scrollRestoration)
+		{
+			var position = traversal ? this._scrollPositions[to] : null;
+			this._setScroll(position ? position.x : 0, position ? position.y : 0);
+		}
+	},
+
+	/*
+	**	Returns the scroll position of the page, or of the `root` element in memory mode (where the page is never scrolled), or null when
+	**	there is nothing to scroll.
+	*/
+	_getScroll: function ()
+	{
+		if (this.mode == 'memory')
+			return this.root ? { x: this.root.scrollLeft, y: this.root.scrollTop } : null;
+
+		return 'scrollX' in globalThis ? { x: globalThis.scrollX, y: globalThis.scrollY } : null;
+	},
+
+	/*
+	**	Scrolls the page (or the `root` element in memory mode) to the given position.
+	*/
+	_setScroll: function (x, y)
+	{
+		if (this.mode == 'memory')
+		{
+			if (this.root)
+			{
+				this.root.scrollLeft = x;
+				this.root.scrollTop = y;
+			}
+
+			return;
+		}
+
+		if ('scrollTo' in globalThis)
+			globalThis.scrollTo(x, y);
+	},
+
+	/*
+	**	Restores the URL of the page to the given location (without processing it) after a navigation was cancelled. The history entry added
+	**	by a `pushed` navigation is left by going back, and a back/forward navigation to an `entry` goes back to the previous entry, otherwise
+	**	the current entry is replaced.
+	*/
+	_rollback: function (location, entry=null, pushed=false)
+	{
+		if (this._readLocation() == location)
+			return;
+
+		if (this.mode != 'memory' && globalThis.history && (pushed || (entry !== null && entry >= 0)))
+		{
+			var delta = pushed ? -1 : this.historyIndex - entry;
+
+			if (delta != 0)
+			{
+				this.ignoreHashChangeEvent++;
+				globalThis.history.go(delta);
+				return;
+			}
+		}
+
+		this._writeLocation (location, true, true);
+		this._writeEntry (this.historyIndex);
 	},
 
 	/*
-	**	Navigates to the given hash-based URL.
+	**	Navigates to the given relative location.
 	*/
 	navigate: function (location, replace=false)
 	{
 		location = this.realLocation(location);
 
-		if (globalThis.location.hash == '#'+location)
+		if (this._readLocation() == location)
 		{
+			this._redirectReplace = null;
 			this.refresh();
 			return;
 		}
 
-		if (replace)
-			globalThis.location.replace('#'+location);
-		else
-			globalThis.location.hash = location;
+		this._writeLocation (location, replace);
 	}
-};
+});
 
+const _Router = new Router();
 _Router.init();
 
 export default _Router;
@@ -0,0 +1,217 @@
+/*
+**	rin-front/wind-mock
+**
+**	Copyright (c) 2013-2021, RedStar Technologies, All rights reserved.
+**	https://www.rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS;
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT,
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+import base64 from 'base-64';
+
+/**
+**	In-memory Wind service to be used as the `transport` of an Api client, useful to run tests without a live backend. Handlers are registered
+**	per function name (`f` parameter), and requests with `req64` and request packages (`rpkg`) are supported.
+*/
+
+const WindMock = Class.extend
+({
+	className: 'WindMock',
+
+	/**
+	**	Map of function names to handlers.
+	*/
+	handlers: null,
+
+	/**
+	**	List of the requests received (parameters of each call, including the calls inside request packages).
+	*/
+	requests: null,
+
+	/**
+	**	Number of milliseconds to wait before responding.
+	*/
+	delay: 0,
+
+	/**
+	**	Constructs the mock with an optional map of function names to handlers.
+	*/
+	__ctor: function (handlers=null)
+	{
+		this.handlers = { };
+		this.requests = [];
+
+		if (handlers)
+		{
+			for (let f in handlers)
+				this.on(f, handlers[f]);
+		}
+	},
+
+	/**
+	**	Registers the handler of a function. The handler is called with the request parameters and returns the response (or a promise), when
+	**	the handler is not a function it is used as the response. Responses without a `response` field get code 200, and arrays are returned
+	**	in the `data` field. Thrown values are converted to error responses: objects with `response` are returned as is, objects with `fields`
+	**	result in a 407 (validation error), and anything else results in a 409 (custom error) with the message in the `error` field.
+	*/
+	on: function (f, handler)
+	{
+		this.handlers[f] = handler;
+		return this;
+	},
+
+	/**
+	**	Removes the handler of a function.
+	*/
+	off: function (f)
+	{
+		delete this.handlers[f];
+		return this;
+	},
+
+	/**
+	**	Removes all the handlers and clears the list of received requests.
+	*/
+	reset: function ()
+	{
+		this.handlers = { };
+		this.requests = [];
+		return this;
+	},
+
+	/**
+	**	Returns an object with the parameters of the given query string.
+	*/
+	_decode: function (str)
+	{
+		let params = { };
+
+		for (let i of new URLSearchParams(str))
+			params[i[0]] = i[1];
+
+		return params;
+	},
+
+	/**
+	**	Returns the request parameters given the URL and the fetch options of a request.
+	*/
+	parseRequest: function (url, options)
+	{
+		let k = url.indexOf('?');
+		let params = this._decode(k == -1 ? '' : url.substr(k+1));
+		let body = options.body;
+
+		if (body instanceof FormData)
+		{
+			for (let i of body.entries())
+				params[i[0]] = i[1];
+		}
+		else if (typeof(body) == 'string')
+		{
+			if ((options.headers['Content-Type'] || '').startsWith('application/json'))
+				Object.assign(params, JSON.parse(body));
+			else
+				Object.assign(params, this._decode(body));
+		}
+
+		delete params._;
+
+		if ('req64' in params)
+			params = this._decode(base64.decode(params.req64));
+
+		return params;
+	},
+
+	/**
+	**	Executes a single call and returns a promise resolved with its response.
+	*/
+	call: function (params)
+	{
+		this.requests.push(params);
+
+		let f = params.f;
+		if (!(f in this.handlers))
+			return Promise.resolve({ response: 400, error: 'Function not found: ' + f });
+
+		let handler = this.handlers[f];
+
+		return new Promise(resolve => resolve(typeof(handler) == 'function' ? handler(params, this) : handler)).then (
+			res =>
+			{
+				if (Array.isArray(res))
+					return { response: 200, data: res };
+
+				if (res === null || typeof(res) != 'object')
+					return res === undefined || res === null ? { response: 200 } : { response: 200, data: res };
+
+				return 'response' in res ? res : { response: 200, ...res };
+			},
+			err =>
+			{
+				if (err !== null && typeof(err) == 'object' && 'response' in err)
+					return err;
+
+				if (err !== null && typeof(err) == 'object' && 'fields' in err)
+					return { response: 407, fields: err.fields };
+
+				return { response: 409, error: err && err.message ? err.message : String(err) };
+			}
+		);
+	},
+
+	/**
+	**	Executes the calls of a request package (`rpkg` parameter) in order and returns a promise resolved with the combined response.
+	*/
+	callPackage: function (rpkg)
+	{
+		let result = { response: 200 };
+
+		return rpkg.split(';').filter(i => i).reduce (
+			(promise, item) => promise.then(() =>
+			{
+				let k = item.indexOf(',');
+				let id = item.substr(0, k);
+
+				return this.call(this._decode(base64.decode(item.substr(k+1)))).then(res => { result[id] = res; });
+			}),
+			Promise.resolve()
+		)
+		.then(() => result);
+	},
+
+	/**
+	**	Transport interface used by the Api. Returns a promise resolved with a Response-like object, or rejected if the request is aborted.
+	*/
+	send: function (url, options, handle)
+	{
+		let params = this.parseRequest(url, options);
+
+		return new Promise(resolve => setTimeout(resolve, this.delay))
+		.then(() => 'rpkg' in params ? this.callPackage(params.rpkg) : this.call(params))
+		.then(res =>
+		{
+			if (options.signal && options.signal.aborted)
+				throw new Error('The operation was aborted.');
+
+			let text = JSON.stringify(res);
+
+			return {
+				ok: true, status: 200, statusText: 'OK',
+				headers: { get: (name) => name.toLowerCase() == 'content-type' ? 'application/json' : null },
+				text: () => Promise.resolve(text),
+				json: () => Promise.resolve(JSON.parse(text)),
+				blob: () => Promise.resolve(new Blob([text], { type: 'application/json' }))
+			};
+		});
+	}
+});
+
+export default WindMock;
@@ -0,0 +1,412 @@
+/*
+**	Tests of the Api client and DataSource using WindMock as transport. Run with `npm test`.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+
+import Api from '../src/api.js';
+import WindMock from '../src/wind-mock.js';
+import DataSource from '../src/data-source.js';
+import { MemoryCache } from '../src/api-cache.js';
+
+/**
+**	Returns a new Api client using a WindMock with the given handlers, `sent` counts the requests received by the transport.
+*/
+function setup (handlers, config=null)
+{
+	let mock = new WindMock(handlers);
+	let api = Api.create({ transport: mock, retryDelay: 0, ...config });
+
+	let send = mock.send.bind(mock);
+	mock.sent = 0;
+	mock.send = (...args) => { mock.sent++; return send(...args); };
+
+	return { mock, api };
+}
+
+test('package calls are sent in a single request with a summary', async () =>
+{
+	let { mock, api } = setup({
+		'users.count': { count: 2 },
+		'users.list': () => [{ id: 1 }, { id: 2 }],
+		'users.get': () => { throw { response: 404 }; }
+	});
+
+	api.packageBegin();
+	let count = api.fetch({ f: 'users.count' });
+	let list = api.fetch({ f: 'users.list' });
+	api.fetch({ f: 'users.get', id: 3 });
+	let summary = await api.packageEnd();
+
+	assert.equal(mock.sent, 1);
+	assert.equal((await count).count, 2);
+	assert.equal((await list).data.length, 2);
+	assert.equal(summary.succeeded.length, 2);
+	assert.equal(summary.failed.length, 1);
+	assert.equal(summary.failed[0].code, 404);
+});
+
+test('calls with nested files are not packaged', async () =>
+{
+	let { mock, api } = setup({ 'docs.upload': p => ({ fields: Object.keys(p) }), 'docs.list': () => [] }, { autoPackage: true });
+
+	let [upload] = await Promise.all([
+		api.fetch({ f: 'docs.upload', docs: [new File(['x'], 'a.txt')] }),
+		api.fetch({ f: 'docs.list' })
+	]);
+
+	assert.equal(mock.sent, 2);
+	assert.deepEqual(upload.fields, ['f', 'docs[0]']);
+});
+
+test('failed requests are retried', async () =>
+{
+	let { mock, api } = setup({ 'users.list': () => [] }, { retries: 2 });
+
+	let send = mock.send;
+	let failures = 1;
+	mock.send = (...args) => failures-- > 0 ? Promise.reject(new Error('Connection reset')) : send(...args);
+
+	let res = await api.fetch({ f: 'users.list' });
+	assert.equal(res.response, 200);
+	assert.equal(mock.sent, 1);
+});
+
+test('retried requests have their attempt number', async () =>
+{
+	let { mock, api } = setup({ 'users.list': { response: 408 } });
+	let attempts = [];
+
+	api.addResponseInterceptor((res, req) =>
+	{
+		attempts.push(req.attempt);
+		if (res.response == 408 && req.attempt < 2) return req.retry();
+	});
+
+	let res = await api.fetch({ f: 'users.list' });
+	assert.equal(res.response, 408);
+	assert.deepEqual(attempts, [0, 1, 2]);
+	assert.equal(mock.sent, 3);
+});
+
+test('responses are cached and invalidated by mutating calls', async () =>
+{
+	let n = 0;
+	let { mock, api } = setup({ 'users.list': () => [++n], 'users.delete': {} }, {
+		cache: new MemoryCache(),
+		cacheRules: { 'users.list': 60000 }
+	});
+
+	assert.deepEqual((await api.fetch({ f: 'users.list' })).data, [1]);
+	assert.deepEqual((await api.fetch({ f: 'users.list' })).data, [1]);
+	assert.equal(mock.sent, 1);
+
+	await api.fetch({ f: 'users.delete', id: 1 });
+	assert.deepEqual((await api.fetch({ f: 'users.list' })).data, [2]);
+});
+
+test('cached calls stay in the package with asynchronous backends', async () =>
+{
+	let memory = new MemoryCache();
+	let later = (fn) => (...args) => new Promise(resolve => setTimeout(() => resolve(fn(...args)), 5));
+
+	let { mock, api } = setup({ 'users.list': () => [], 'users.count': { count: 0 } }, {
+		cache: { get: later(k => memory.get(k)), set: later((k, v) => memory.set(k, v)), remove: later(k => memory.remove(k)), keys: later(() => memory.keys()), clear: () => memory.clear() },
+		cacheRules: { 'users.list': 60000 }
+	});
+
+	api.packageBegin();
+	api.fetch({ f: 'users.list' });
+	api.fetch({ f: 'users.count' });
+	let summary = await api.packageEnd();
+
+	assert.equal(mock.sent, 1);
+	assert.equal(summary.succeeded.length, 2);
+});
+
+test('identical concurrent calls are deduplicated', async () =>
+{
+	let { mock, api } = setup({ 'users.list': () => [] });
+
+	let [a, b] = await Promise.all([api.fetch({ f: 'users.list', page: 1 }), api.fetch({ page: 1, f: 'users.list' })]);
+
+	assert.equal(mock.sent, 1);
+	assert.equal(a, b);
+});
+
+test('DataSource refresh loads the count and the list', async () =>
+{
+	let { mock, api } = setup({
+		'users.count': p => ({ count: p.status == 'active' ? 1 : 2 }),
+		'users.list': p => p.status == 'active' ? [{ id: 1 }] : [{ id: 1 }, { id: 2 }]
+	});
+
+	let ds = new DataSource('users', { api: api, includeCount: true });
+	ds.request.set({ status: 'active' });
+
+	await new Promise(resolve => ds.refresh('full', resolve));
+
+	assert.equal(mock.sent, 1);
+	assert.equal(ds.count, 1);
+	assert.deepEqual(ds.list.getData().map(i => i.get().id), [1]);
+});
+
+test('DataSource reports failed calls with error events', async () =>
+{
+	let { mock, api } = setup({ }, { retries: 0 });
+	mock.send = () => Promise.reject(new Error('Network down'));
+
+	let ds = new DataSource('users', { api: api });
+	let error = new Promise(resolve => ds.addEventListener('listError', (evt, args) => resolve(args.error)));
+
+	ds.refresh(true);
+	assert.equal((await error).name, 'ApiNetworkError');
+});
+
+test('clients have their own copy of the default options', () =>
+{
+	let a = Api.create();
+	a.retryCodes.push(408);
+	a.restRoutes.archive = 'POST /:id/archive';
+	a.eventNames.push('archive');
+
+	assert.deepEqual(Api.retryCodes, []);
+	assert.deepEqual(Api.create().retryCodes, []);
+	assert.deepEqual(Api.create({ retryCodes: [409] }).retryCodes, [409]);
+	assert.ok(!('archive' in Api.restRoutes));
+	assert.ok(!('archive' in Api.create().restRoutes));
+	assert.deepEqual(Api.eventNames, ['add', 'update', 'remove']);
+});
+
+test('errors thrown while building the request fail the call', async () =>
+{
+	let { mock, api } = setup({ 'users.add': {} }, { encoding: 'json' });
+
+	await assert.rejects(api.fetch({ f: 'users.add', n: 1n }, { method: 'POST' }), TypeError);
+	assert.equal(mock.sent, 0);
+	assert.equal(api._requestLevel, 0);
+});
+
+test('retried requests keep the options of the original call', async () =>
+{
+	let { mock, api } = setup({ 'users.update': p => ({ response: p.token ? 200 : 408 }) });
+	let bodies = [], retry = null;
+
+	let send = mock.send;
+	mock.send = (url, options, handle) => { bodies.push(options.body); return send(url, options, handle); };
+
+	api.addResponseInterceptor((res, req) =>
+	{
+		if (res.response == 408 && req.attempt == 0)
+		{
+			mock.delay = 50;
+			return retry = req.retry();
+		}
+	});
+
+	api.addRequestInterceptor(req =>
+	{
+		if (req.attempt > 0) req.params.token = 'x';
+	});
+
+	let res = await api.fetch({ f: 'users.update', id: 1 }, { method: 'POST', encoding: 'json' });
+	assert.equal(res.response, 200);
+	assert.deepEqual(bodies.map(i => JSON.parse(i).f), ['users.update', 'users.update']);
+
+	mock.delay = 0;
+	let controller = new AbortController();
+	let call = api.fetch({ f: 'users.update', id: 2 }, { method: 'POST', signal: controller.signal });
+	setTimeout(() => controller.abort(), 20);
+
+	await assert.rejects(call, { name: 'ApiAbortError' });
+	await assert.rejects(retry, { name: 'ApiAbortError' });
+});
+
+test('binary calls pass Wind errors through the response interceptors', async () =>
+{
+	let { mock, api } = setup({ 'reports.export': p => p.token ? { response: 200, csv: 'a,b' } : { response: 408 } });
+	let codes = [];
+
+	api.addRequestInterceptor(req => { if (req.attempt > 0) req.params.token = 'x'; });
+	api.addResponseInterceptor((res, req) =>
+	{
+		codes.push(res.response);
+		if (res.response == 408 && req.attempt == 0) return req.retry();
+	});
+
+	let blob = await api.fetchBlob({ f: 'reports.export' });
+	assert.ok(blob instanceof Blob);
+	assert.equal(JSON.parse(await blob.text()).csv, 'a,b');
+	assert.deepEqual(codes, [408]);
+
+	api.responseInterceptors = [];
+	await assert.rejects(api.fetchBlob({ f: 'reports.export' }), { name: 'WindAuthError' });
+});
+
+test('calls can be aborted with the handle or a signal', async () =>
+{
+	let { mock, api } = setup({ 'users.list': () => [] });
+	mock.delay = 20;
+
+	let called = false;
+	let handle = api.apiCall({ f: 'users.list' }, () => called = true, null, { });
+	handle.abort();
+
+	await assert.rejects(handle, { name: 'ApiAbortError' });
+	assert.ok(!called);
+
+	let controller = new AbortController();
+	let call = api.fetch({ f: 'users.list', page: 2 }, { signal: controller.signal });
+	setTimeout(() => controller.abort(), 5);
+	await assert.rejects(call, { name: 'ApiAbortError' });
+
+	let sent = mock.sent;
+	await assert.rejects(api.fetch({ f: 'users.list', page: 3 }, { signal: controller.signal }), { name: 'ApiAbortError' });
+	assert.equal(mock.sent, sent);
+});
+
+test('calls time out with ApiTimeoutError', async () =>
+{
+	let { mock, api } = setup({ 'users.list': () => [] }, { retries: 0 });
+	mock.delay = 50;
+
+	await assert.rejects(api.fetch({ f: 'users.list' }, { timeout: 10 }), { name: 'ApiTimeoutError' });
+
+	api.timeout = 10;
+	await assert.rejects(api.fetch({ f: 'users.list', page: 2 }), { name: 'ApiTimeoutError' });
+	assert.equal((await api.fetch({ f: 'users.list', page: 3 }, { timeout: 0 })).response, 200);
+});
+
+test('DataSource aborts the previous list request when a new one starts', async () =>
+{
+	let { mock, api } = setup({ 'users.list': p => [{ id: p.status }] });
+	mock.delay = 20;
+
+	let ds = new DataSource('users', { api: api });
+	let loaded = 0;
+	ds.addEventListener('listLoaded', () => loaded++);
+
+	ds.request.set({ status: 'a' });
+	ds.fetchList();
+	ds.request.set({ status: 'b' });
+	ds.fetchList();
+
+	await new Promise(resolve => setTimeout(resolve, 60));
+
+	assert.equal(loaded, 1);
+	assert.deepEqual(ds.list.getData().map(i => i.get().id), ['b']);
+});
+
+test('event streams are parsed into named events with ids', async () =>
+{
+	let text = ': comment\nevent: add\nid: 7\ndata: {"response":200,\ndata: "id":1}\n\r\ndata: plain\r\n\r\nid: 8\nevent: remove\ndata: {}\n\n';
+	let bytes = new TextEncoder().encode(text);
+
+	let body = new ReadableStream({
+		start (controller)
+		{
+			for (let i = 0; i < bytes.length; i += 5)
+				controller.enqueue(bytes.slice(i, i + 5));
+
+			controller.close();
+		}
+	});
+
+	let events = [];
+	await Api._readEvents(body, (data, name, id) => events.push([name, id, data]));
+
+	assert.deepEqual(events, [
+		['add', '7', '{"response":200,\n"id":1}'],
+		['message', '7', 'plain'],
+		['remove', '8', '{}']
+	]);
+
+	events = [];
+	await Api._readEvents(Readable.from(['event: update\nda', 'ta: x\n\n']), (data, name, id) => events.push([name, id, data]));
+	assert.deepEqual(events, [['update', null, 'x']]);
+});
+
+test('DataSource applies live changes to the list', () =>
+{
+	let ds = new DataSource('users', { api: Api.create() });
+	let changes = [];
+
+	ds.list.setData([{ id: 1, name: 'a' }]);
+	ds.count = 1;
+	ds.addEventListener('changeApplied', (evt, args) => changes.push(args.action));
+
+	ds.applyChange('add', { id: 2, name: 'b' });
+	ds.applyChange('update', { id: 1, name: 'c' });
+	ds.applyChange('add', { id: 2, name: 'd' });
+	ds.applyChange('update', { id: 9, name: 'x' });
+	ds.applyChange('remove', { id: 1 });
+
+	assert.deepEqual(ds.list.getData().map(i => i.get().name), ['d']);
+	assert.equal(ds.count, 1);
+	assert.deepEqual(changes, ['add', 'update', 'add', 'remove']);
+});
+
+test('nested parameters are encoded using bracket notation', () =>
+{
+	let api = Api.create();
+
+	assert.deepEqual(api.flattenParams({ f: 'a.b', user: { name: 'x', tags: [1, 2] }, list: [{ id: 3 }] }), [
+		['f', 'a.b'], ['user[name]', 'x'], ['user[tags][0]', 1], ['user[tags][1]', 2], ['list[0][id]', 3]
+	]);
+
+	assert.equal(api.encodeParams({ q: 'a b&c', filter: { ids: [1] } }), 'q=a%20b%26c&filter%5Bids%5D%5B0%5D=1');
+});
+
+test('json encoding sends nested parameters as a JSON body', async () =>
+{
+	let { mock, api } = setup({ 'users.add': p => ({ got: p }) }, { encoding: 'json' });
+	let sent = null;
+
+	let send = mock.send;
+	mock.send = (url, options, handle) => { sent = options; return send(url, options, handle); };
+
+	let res = await api.fetch({ f: 'users.add', user: { name: 'x', tags: [1, 2] } }, { method: 'POST' });
+
+	assert.equal(sent.headers['Content-Type'], 'application/json');
+	assert.deepEqual(JSON.parse(sent.body), { f: 'users.add', user: { name: 'x', tags: [1, 2] } });
+	assert.deepEqual(res.got.user, { name: 'x', tags: [1, 2] });
+});
+
+test('REST routes are obtained from the function name', () =>
+{
+	let api = Api.create({ apiUrl: '/api' });
+	api.restRoutes.archive = 'POST /:id/archive';
+
+	assert.deepEqual(api.restRoute({ f: 'shop.candies.get', id: 5, full: 1 }), { method: 'GET', url: '/api/shop/candies/5', name: 'get', params: { full: 1 } });
+	assert.deepEqual(api.restRoute({ f: 'candies.list', page: 2 }), { method: 'GET', url: '/api/candies', name: 'list', params: { page: 2 } });
+	assert.deepEqual(api.restRoute({ f: 'candies.archive', id: 'a/b' }), { method: 'POST', url: '/api/candies/a%2Fb/archive', name: 'archive', params: { } });
+	assert.deepEqual(api.restRoute({ f: 'candies.restock', n: 1 }), { method: 'POST', url: '/api/candies/restock', name: 'restock', params: { n: 1 } });
+});
+
+test('REST responses are converted to Wind responses', async () =>
+{
+	let api = Api.create();
+
+	assert.deepEqual(api.restResponse(null, { name: 'delete' }), { response: 200 });
+	assert.deepEqual(api.restResponse([1, 2], { name: 'list' }), { response: 200, data: [1, 2] });
+	assert.deepEqual(api.restResponse(3, { name: 'count' }), { response: 200, count: 3 });
+	assert.deepEqual(api.restResponse('ok', { name: 'ping' }), { response: 200, value: 'ok' });
+	assert.deepEqual(api.restResponse({ id: 1 }, { name: 'get' }), { response: 200, data: [{ id: 1 }] });
+	assert.deepEqual(api.restResponse({ id: 1 }, { name: 'add' }), { response: 200, id: 1 });
+	assert.deepEqual(api.restResponse({ response: 404 }, { name: 'get' }), { response: 404 });
+
+	let requests = [];
+	let transport = {
+		send: (url, options) =>
+		{
+			requests.push(options.method + ' ' + url.replace(/[?&]_=\d+/, ''));
+			return Promise.resolve({ ok: true, status: 200, statusText: 'OK', text: () => Promise.resolve('{"id":5}') });
+		}
+	};
+
+	let rest = Api.create({ apiUrl: '/api', rest: true, transport: transport });
+	assert.deepEqual((await rest.fetch({ f: 'candies.get', id: 5 })).data, [{ id: 5 }]);
+	assert.deepEqual(requests, ['GET /api/candies/5']);
+});
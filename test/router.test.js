@@ -0,0 +1,176 @@
+/*
+**	Tests of the Router in memory mode (used by default in Node). Run with `npm test`.
+*/
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Router from '../src/router.js';
+
+let log = [];
+
+Router.addRoute('users/:id<int>', (evt, args) => log.push('user ' + args.id), () => log.push('-user'), { name: 'user' });
+Router.addRoute('users/new', () => log.push('new'), null, { exclusive: 'users' });
+Router.addRoute('users/:id', () => log.push('any'), null, { exclusive: 'users' });
+Router.addRoute('home', () => log.push('home'));
+Router.addRoute('old', () => { }, null, { beforeEnter: () => 'home' });
+Router.addRoute('locked', () => log.push('locked'), null, { beforeEnter: () => false });
+Router.addRoute('*path', (evt, args) => log.push('404 ' + args.path), null, { fallback: true });
+
+let failLoad = true;
+const reports = Router.addRoute('reports', () => log.push('reports'), null, {
+	load: () => failLoad ? Promise.reject(new Error('Offline')) : Promise.resolve({ ready: true })
+});
+
+Router.addRoute('shop/*rest', () => log.push('shop'), () => log.push('-shop'), { exclusive: 'shop' });
+Router.addRoute('shop/closed', () => log.push('closed'), null, { exclusive: 'shop' });
+Router.addRoute('shop/:id<int>', (evt, args) => log.push('item ' + args.id), null, { parent: 'shop/*rest' });
+Router.addRoute('shop/*any', () => log.push('no item'), null, { parent: 'shop/*rest', fallback: true });
+
+beforeEach(() =>
+{
+	Router.init({ mode: 'memory', location: 'home' });
+	Router.refresh();
+	log = [];
+});
+
+test('memory mode is used when there is no browser', () =>
+{
+	assert.equal(Router.mode, 'memory');
+	assert.equal(Router.location, 'home');
+});
+
+test('navigate, setRoute and realLocation use the internal location', () =>
+{
+	Router.navigate('users/3');
+	assert.equal(Router.location, 'users/3');
+
+	Router.setRoute('users/4', true);
+	assert.equal(Router.location, 'users/4');
+
+	assert.equal(Router.realLocation('*/9'), 'users/9');
+	assert.deepEqual(log, ['any', 'user 3']);
+});
+
+test('exclusive routes activate only the most specific match', () =>
+{
+	Router.navigate('users/new');
+	assert.deepEqual(log, ['new']);
+});
+
+test('fallback routes fire when nothing matches', () =>
+{
+	Router.navigate('nowhere');
+	assert.deepEqual(log, ['404 nowhere']);
+});
+
+test('guards can redirect and cancel navigations', () =>
+{
+	Router.navigate('old');
+	assert.equal(Router.location, 'home');
+
+	Router.navigate('locked');
+	assert.equal(Router.location, 'home');
+	assert.ok(!log.includes('locked'));
+});
+
+test('named routes generate locations', () =>
+{
+	assert.equal(Router.url('user', { id: 5, tab: 'a b' }), 'users/5?tab=a%20b');
+	assert.throws(() => Router.url('user'));
+});
+
+test('the history stack supports going back', () =>
+{
+	let start = Router.historyIndex;
+
+	Router.navigate('users/1');
+	Router.navigate('users/2');
+	assert.equal(Router.historyIndex, start + 2);
+	assert.ok(Router.canGoBack());
+
+	Router.back();
+	assert.equal(Router.location, 'users/1');
+	assert.equal(Router.historyIndex, start + 1);
+});
+
+test('navigation events carry the locations', () =>
+{
+	let events = [];
+	const handler = (evt, args) => events.push(evt.name + ' ' + args.from + '>' + args.to);
+
+	Router.addEventListener('beforeNavigate', handler);
+	Router.addEventListener('navigated', handler);
+	Router.addEventListener('notFound', handler);
+
+	Router.navigate('nowhere');
+
+	Router.removeEventListener('beforeNavigate', handler);
+	Router.removeEventListener('navigated', handler);
+	Router.removeEventListener('notFound', handler);
+
+	assert.deepEqual(events, ['beforeNavigate home>nowhere', 'notFound home>nowhere', 'navigated home>nowhere']);
+});
+
+test('memory mode scrolls the root element instead of the page', () =>
+{
+	let scrolled = false;
+	globalThis.scrollX = globalThis.scrollY = 0;
+	globalThis.scrollTo = () => scrolled = true;
+
+	let root = { scrollLeft: 0, scrollTop: 0, addEventListener: () => { }, removeEventListener: () => { } };
+	Router.init({ mode: 'memory', location: 'home', root: root });
+	Router.refresh();
+
+	root.scrollTop = 50;
+	Router.navigate('users/1');
+	assert.equal(root.scrollTop, 0);
+
+	Router.back();
+	assert.equal(root.scrollTop, 50);
+
+	Router.init({ mode: 'memory', root: null });
+	delete globalThis.scrollX;
+	delete globalThis.scrollY;
+	delete globalThis.scrollTo;
+
+	assert.ok(!scrolled);
+});
+
+test('nested routes are active only while their parent route is active', () =>
+{
+	Router.navigate('shop/3');
+	assert.deepEqual(log, ['shop', 'item 3']);
+
+	log = [];
+	Router.navigate('shop/abc');
+	assert.deepEqual(log, ['shop', 'no item']);
+
+	log = [];
+	Router.navigate('shop/closed');
+	assert.deepEqual(log, ['-shop', 'closed']);
+});
+
+test('routes whose module fails to load cancel the navigation', async () =>
+{
+	let events = [];
+	reports.addEventListener('loading', () => events.push('loading'));
+	reports.addEventListener('loaded', (evt, args) => events.push('loaded ' + args.module.ready));
+	reports.addEventListener('routeError', (evt, args) => events.push('error ' + args.error.message));
+
+	Router.navigate('reports');
+	await new Promise(resolve => setTimeout(resolve, 0));
+
+	assert.equal(Router.location, 'home');
+	assert.deepEqual(events, ['loading', 'error Offline']);
+	assert.deepEqual(log, []);
+
+	failLoad = false;
+	Router.navigate('reports');
+	await new Promise(resolve => setTimeout(resolve, 0));
+
+	assert.equal(Router.location, 'reports');
+	assert.ok(reports.loaded);
+	assert.deepEqual(events, ['loading', 'error Offline', 'loading', 'loaded true']);
+	assert.deepEqual(log, ['reports']);
+});